@@ -1,13 +1,8 @@
-// background.js — YouTube Watch Logger (MV3)
-// - Receives videoId/url from content script
-// - Fetches rich metadata from YouTube Data API
-// - Stores entries to chrome.storage.local (watchLog)
-// - Reads config (apiKey, profile) from chrome.storage.sync
-// - First-run helper opens Options if API key is missing
+// background.js — YouTube Watch Logger (MV3) service worker: logs, enriches and guards the watch history
 
-// --------------------------- Utilities ---------------------------
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+importScripts("db.js", "profiles.js", "controls.js", "rules.js", "providers.js", "stats.js", "report.js", "export.js");
 
+// --------------------------- Utilities ---------------------------
 function parseISODurationToSeconds(iso) {
   const m = /PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/.exec(iso || "");
   if (!m) return null;
@@ -24,91 +19,92 @@ function inferIsShorts({ url, durationSeconds }) {
 // Cache for categoryId -> name
 const categoryNameCache = new Map();
 
+const YT_API = "https://www.googleapis.com/youtube/v3";
+const API_BATCH_SIZE = 50; // max ids per videos.list / channels.list call
+
 function getConfig() {
   return new Promise((resolve) => {
-    chrome.storage.sync.get({ apiKey: "", profile: "Child" }, (cfg) => resolve(cfg));
+    chrome.storage.sync.get({ apiKey: "", profile: "Child", quotaDailyLimit: 9000 }, (cfg) => resolve(cfg));
   });
 }
 
-async function getCategoryName(categoryId, apiKey, regionCode = "US") {
-  if (!categoryId) return null;
-  const cacheKey = `${regionCode}:${categoryId}`;
-  if (categoryNameCache.has(cacheKey)) return categoryNameCache.get(cacheKey);
-
-  const url = new URL("https://www.googleapis.com/youtube/v3/videoCategories");
-  url.search = new URLSearchParams({ part: "snippet", id: String(categoryId), key: apiKey, regionCode }).toString();
+class ApiError extends Error {
+  constructor(endpoint, status, reason) {
+    super(`${endpoint} ${status}${reason ? ` ${reason}` : ""}`);
+    this.status = status;
+    this.reason = reason || null;
+  }
+}
 
+async function apiGet(endpoint, params, apiKey) {
+  const url = new URL(`${YT_API}/${endpoint}`);
+  url.search = new URLSearchParams({ ...params, key: apiKey }).toString();
+  await spendQuota(1); // every *.list call costs 1 unit
   const res = await fetch(url.toString());
-  if (!res.ok) return null;
-  const data = await res.json();
-  const name = data?.items?.[0]?.snippet?.title || null;
-  categoryNameCache.set(cacheKey, name);
-  return name;
+  if (!res.ok) {
+    let reason = res.statusText;
+    try { reason = (await res.json())?.error?.errors?.[0]?.reason || reason; } catch {}
+    throw new ApiError(endpoint, res.status, reason);
+  }
+  return res.json();
 }
 
-async function fetchVideoMetadataRich(videoId, apiKey, { maxRetries = 3 } = {}) {
-  const baseUrl = new URL("https://www.googleapis.com/youtube/v3/videos");
-  baseUrl.search = new URLSearchParams({
-    part: ["snippet", "contentDetails", "statistics", "status", "topicDetails"].join(","),
-    id: videoId,
-    key: apiKey,
-  }).toString();
-
-  let attempt = 0;
-  while (true) {
-    try {
-      const res = await fetch(baseUrl.toString());
-      if (!res.ok) throw new Error(`videos.list ${res.status} ${res.statusText}`);
-      const data = await res.json();
-      const v = data?.items?.[0];
-      if (!v) throw new Error("Video not found");
-
-      const { snippet = {}, contentDetails = {}, statistics = {}, status = {} } = v;
-      const durationSeconds = parseISODurationToSeconds(contentDetails.duration);
-      const regionRestriction = contentDetails.regionRestriction || null;
-      const liveContent = snippet.liveBroadcastContent || "none"; // none | live | upcoming
-
-      return {
-        videoId: v.id,
-        title: snippet.title || null,
-        description: snippet.description || null,
-        publishedAt: snippet.publishedAt || null,
-        channelId: snippet.channelId || null,
-        channelTitle: snippet.channelTitle || null,
-        tags: snippet.tags || [],
-        thumbnails: snippet.thumbnails || {},
-        categoryId: snippet.categoryId || null,
-        defaultLanguage: snippet.defaultLanguage || null,
-        defaultAudioLanguage: snippet.defaultAudioLanguage || null,
-        durationSeconds,
-        definition: contentDetails.definition || null,
-        caption: contentDetails.caption === "true",
-        regionRestriction,
-        contentRating: contentDetails.contentRating || null,
-        liveContent,
-        madeForKids: status?.madeForKids ?? null,
-        viewCount: statistics.viewCount ? Number(statistics.viewCount) : null,
-        likeCount: statistics.likeCount ? Number(statistics.likeCount) : null,
-        commentCount: statistics.commentCount ? Number(statistics.commentCount) : null,
-        topicCategories: (v.topicDetails && v.topicDetails.topicCategories) || [],
-      };
-    } catch (e) {
-      if (attempt >= maxRetries) throw e;
-      attempt += 1;
-      await sleep(300 * attempt);
-    }
+async function getCategoryNames(categoryIds, apiKey, regionCode = "US") {
+  const missing = [...new Set(categoryIds.filter(Boolean))]
+    .filter(id => !categoryNameCache.has(`${regionCode}:${id}`));
+  if (missing.length) {
+    const data = await apiGet("videoCategories", { part: "snippet", id: missing.join(","), regionCode }, apiKey);
+    for (const id of missing) categoryNameCache.set(`${regionCode}:${id}`, null);
+    for (const c of data?.items || []) categoryNameCache.set(`${regionCode}:${c.id}`, c.snippet?.title || null);
   }
+  return (id) => (id ? categoryNameCache.get(`${regionCode}:${id}`) ?? null : null);
+}
+
+function videoMetaFromItem(v) {
+  const { snippet = {}, contentDetails = {}, statistics = {}, status = {} } = v;
+  const durationSeconds = parseISODurationToSeconds(contentDetails.duration);
+  const regionRestriction = contentDetails.regionRestriction || null;
+  const liveContent = snippet.liveBroadcastContent || "none"; // none | live | upcoming
+
+  return {
+    videoId: v.id,
+    title: snippet.title || null,
+    description: snippet.description || null,
+    publishedAt: snippet.publishedAt || null,
+    channelId: snippet.channelId || null,
+    channelTitle: snippet.channelTitle || null,
+    tags: snippet.tags || [],
+    thumbnails: snippet.thumbnails || {},
+    categoryId: snippet.categoryId || null,
+    defaultLanguage: snippet.defaultLanguage || null,
+    defaultAudioLanguage: snippet.defaultAudioLanguage || null,
+    durationSeconds,
+    definition: contentDetails.definition || null,
+    caption: contentDetails.caption === "true",
+    regionRestriction,
+    contentRating: contentDetails.contentRating || null,
+    liveContent,
+    madeForKids: status?.madeForKids ?? null,
+    viewCount: statistics.viewCount ? Number(statistics.viewCount) : null,
+    likeCount: statistics.likeCount ? Number(statistics.likeCount) : null,
+    commentCount: statistics.commentCount ? Number(statistics.commentCount) : null,
+    topicCategories: (v.topicDetails && v.topicDetails.topicCategories) || [],
+  };
 }
 
-async function fetchChannelBasics(channelId, apiKey) {
-  if (!channelId) return null;
-  const url = new URL("https://www.googleapis.com/youtube/v3/channels");
-  url.search = new URLSearchParams({ part: "snippet,statistics,brandingSettings,topicDetails", id: channelId, key: apiKey }).toString();
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  const c = data?.items?.[0];
-  if (!c) return null;
+// Up to 50 ids per call; ids missing from the response were deleted or made private
+async function fetchVideosMetadataBatch(videoIds, apiKey) {
+  const data = await apiGet("videos", {
+    part: ["snippet", "contentDetails", "statistics", "status", "topicDetails"].join(","),
+    id: videoIds.join(","),
+    maxResults: String(API_BATCH_SIZE),
+  }, apiKey);
+  const out = new Map();
+  for (const v of data?.items || []) out.set(v.id, videoMetaFromItem(v));
+  return out;
+}
+
+function channelFromItem(c) {
   const sn = c.snippet || {};
   const stats = c.statistics || {};
   const branding = c.brandingSettings || {};
@@ -124,127 +120,735 @@ async function fetchChannelBasics(channelId, apiKey) {
   };
 }
 
-// Dedup helper: avoid logging the same video too often per profile
-function recentlyLogged(profile, videoId, ttlMinutes = 120) {
+async function fetchChannelsBatch(channelIds, apiKey) {
+  const ids = [...new Set(channelIds.filter(Boolean))];
+  const out = new Map();
+  if (!ids.length) return out;
+  const data = await apiGet("channels", {
+    part: "snippet,statistics,brandingSettings,topicDetails",
+    id: ids.join(","),
+    maxResults: String(API_BATCH_SIZE),
+  }, apiKey);
+  for (const c of data?.items || []) out.set(c.id, channelFromItem(c));
+  return out;
+}
+
+// --------------------------- Quota accounting ---------------------------
+// YouTube Data API quota resets at midnight Pacific time.
+function quotaDay(d = new Date()) {
+  return d.toLocaleDateString("en-CA", { timeZone: "America/Los_Angeles" });
+}
+
+function getQuota() {
   return new Promise((resolve) => {
-    chrome.storage.local.get({ lastLogged: {} }, ({ lastLogged }) => {
-      const key = `${profile}:${videoId}`;
-      const last = lastLogged[key];
-      if (!last) return resolve(false);
-      const ageMin = (Date.now() - new Date(last).getTime()) / 60000;
-      resolve(ageMin < ttlMinutes);
+    chrome.storage.local.get({ apiQuota: null }, ({ apiQuota }) => {
+      const day = quotaDay();
+      resolve(apiQuota && apiQuota.day === day ? apiQuota : { day, units: 0, calls: 0, exhausted: false });
     });
   });
 }
 
-function markLogged(profile, videoId) {
+async function spendQuota(units) {
+  const q = await getQuota();
+  q.units += units;
+  q.calls += 1;
+  await new Promise((resolve) => chrome.storage.local.set({ apiQuota: q }, resolve));
+  return q;
+}
+
+async function markQuotaExhausted() {
+  const q = await getQuota();
+  q.exhausted = true;
+  await new Promise((resolve) => chrome.storage.local.set({ apiQuota: q }, resolve));
+}
+
+// --------------------------- Dedup & retention policy ---------------------------
+// Set in Options (chrome.storage.sync):
+// - dedupWindowMinutes: repeat views of a video inside this window aren't new entries (0 = every view is)
+// - rewatchMode: "events" folds those repeats into the first entry as rewatches; "ignore" drops them
+// - retention: { [profile]: { maxAgeDays, maxEntries } }, 0 = unlimited
+const DEFAULT_DEDUP_WINDOW_MINUTES = 120;
+const RETENTION_ALARM = "ytl-retention";
+
+function getLogPolicy() {
   return new Promise((resolve) => {
-    chrome.storage.local.get({ lastLogged: {} }, ({ lastLogged }) => {
-      const key = `${profile}:${videoId}`;
-      lastLogged[key] = new Date().toISOString();
-      chrome.storage.local.set({ lastLogged }, resolve);
-    });
+    chrome.storage.sync.get({ dedupWindowMinutes: DEFAULT_DEDUP_WINDOW_MINUTES, rewatchMode: "events", retention: {} }, (p) => resolve({
+      dedupWindowMinutes: Math.max(0, Number(p.dedupWindowMinutes) || 0),
+      rewatchMode: p.rewatchMode === "ignore" ? "ignore" : "events",
+      retention: p.retention && typeof p.retention === "object" ? p.retention : {},
+    }));
   });
 }
 
-function setLogEntry(entry, maxEntries = 5000) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get({ watchLog: [] }, ({ watchLog }) => {
-      const list = Array.isArray(watchLog) ? watchLog : [];
-      list.push(entry);
-      // Trim oldest if beyond cap
-      if (list.length > maxEntries) list.splice(0, list.length - maxEntries);
-      chrome.storage.local.set({ watchLog: list }, () => resolve());
-    });
+// -> the lastLogged row when the video was logged inside the window, else null
+async function recentlyLogged(profile, videoId, windowMinutes) {
+  if (!windowMinutes) return null;
+  const last = await dbGetLastLogged(`${profile}:${videoId}`);
+  if (!last) return null;
+  const ageMin = (Date.now() - new Date(last.at).getTime()) / 60000;
+  return ageMin < windowMinutes ? last : null;
+}
+
+// Markers moved over from chrome.storage have no entryId; the video's latest entry for the profile stands in
+async function latestEntryId(profile, videoId) {
+  let latest = null;
+  for (const e of await dbGetEntriesByIndex("videoId", videoId)) {
+    if (e.profile === profile && (!latest || e.watchedAt > latest.watchedAt)) latest = e;
+  }
+  return latest ? latest.id : null;
+}
+
+async function markLogged(profile, videoId, entryId, windowMinutes) {
+  await dbSetLastLogged(`${profile}:${videoId}`, new Date().toISOString(), entryId);
+  // Keys older than the window can never suppress a log again
+  await dbPruneLastLogged(new Date(Date.now() - windowMinutes * 60000).toISOString());
+}
+
+// The entry behind the marker is gone or moved; an epoch timestamp is outside any window (and pruned next time)
+function forgetLogged(profile, videoId) {
+  return dbSetLastLogged(`${profile}:${videoId}`, new Date(0).toISOString(), null);
+}
+
+async function applyRetention() {
+  await dbReady;
+  const { retention } = await getLogPolicy();
+  let removed = 0;
+  const seqs = [];
+  for (const [profile, rule] of Object.entries(retention)) {
+    const maxAgeDays = Number(rule?.maxAgeDays) || 0;
+    const keep = Number(rule?.maxEntries) || 0;
+    if (!maxAgeDays && !keep) continue;
+    const before = maxAgeDays ? new Date(Date.now() - maxAgeDays * 86400000).toISOString() : null;
+    removed += await dbPruneEntries(profile, { before, keep, onRemove: (e) => seqs.push(e.chainSeq) });
+  }
+  if (seqs.length) await recordAudit("retention", toRanges(seqs));
+  await new Promise((resolve) => chrome.storage.local.set({ retentionLastRun: { at: new Date().toISOString(), removed } }, resolve));
+  if (removed) {
+    await touchLog();
+    rebuildAllSessions();
+  }
+  return removed;
+}
+
+function ensureRetentionAlarm() {
+  chrome.alarms.get(RETENTION_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
   });
 }
 
-// --------------------------- Core logging ---------------------------
-async function logYouTubeWatch({ videoId, url }) {
-  try {
-    const { apiKey, profile } = await getConfig();
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) applyRetention().catch((err) => console.error("[YTL] Retention failed:", err));
+});
+
+ensureRetentionAlarm();
+
+// Pages watch this key in chrome.storage.onChanged to know the log changed.
+// Playback heartbeats bump `progressRevision` instead, so pages can skip them.
+function touchLog({ progress = false } = {}) {
+  return new Promise((resolve) => chrome.storage.local.set({ [progress ? "progressRevision" : "logRevision"]: Date.now() }, resolve));
+}
+
+async function setLogEntry(entry) {
+  await appendChained([entry], async () => { entry.id = await dbAddEntry(entry); });
+  await touchLog();
+  return entry;
+}
+
+// --------------------------- Migration ---------------------------
+// Entries used to live in one chrome.storage.local array (watchLog) with a
+// lastLogged map next to it. Move them into IndexedDB once, then drop them.
+async function migrateLegacyStorage() {
+  const { watchLog, lastLogged, dbMigrated } = await new Promise((resolve) =>
+    chrome.storage.local.get({ watchLog: null, lastLogged: null, dbMigrated: false }, resolve));
+  if (dbMigrated) return;
+
+  if (Array.isArray(watchLog) && watchLog.length) {
+    await dbAddEntries(watchLog.filter(e => e && e.videoId).map(({ id, ...e }) => e));
+  }
+  if (lastLogged && typeof lastLogged === "object") {
+    const cutoff = Date.now() - DEFAULT_DEDUP_WINDOW_MINUTES * 60000;
+    const fresh = Object.fromEntries(Object.entries(lastLogged).filter(([, at]) => new Date(at).getTime() > cutoff));
+    await dbSetLastLoggedMany(fresh);
+  }
+  await new Promise((resolve) => chrome.storage.local.set({ dbMigrated: true }, resolve));
+  await new Promise((resolve) => chrome.storage.local.remove(["watchLog", "lastLogged"], resolve));
+  await touchLog();
+}
+
+// Entries chained before chainSeal existed are sealed once, as they stand
+async function sealLegacyChain() {
+  const { chainSealed } = await new Promise((resolve) => chrome.storage.local.get({ chainSealed: false }, resolve));
+  if (chainSealed) return;
+  await dbUpdateAll((e) => {
+    if (!Number.isFinite(e.chainSeq) || e.chainSeal) return false;
+    sealEntry(e, null);
+    return true;
+  });
+  await new Promise((resolve) => chrome.storage.local.set({ chainSealed: true }, resolve));
+}
+
+// Everything that touches the log waits for the one-time migrations
+const dbReady = migrateLegacyStorage().then(sealLegacyChain).catch((err) => console.error("[YTL] Migration failed:", err));
+
+// --------------------------- PIN lock ---------------------------
+// Optional PIN/passphrase (PBKDF2 hash in chrome.storage.local "pinLock"). A
+// correct PIN unlocks for a few minutes (chrome.storage.session "unlockedUntil");
+// Options, Clear All, profile switching and the mutating messages require it.
+const PIN_ITERATIONS = 200000;
+const UNLOCK_MINUTES = 10;
+const PIN_MAX_FAILURES = 5;
+const PIN_COOLDOWN_MS = 30000;
+
+function bytesToB64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function b64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function hashPin(pin, salt, iterations = PIN_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return bytesToB64(bits);
+}
+
+function getPinLock() {
+  return new Promise((resolve) => chrome.storage.local.get({ pinLock: null }, ({ pinLock }) => resolve(pinLock)));
+}
+
+function getUnlockState() {
+  return new Promise((resolve) => chrome.storage.session.get({ unlockedUntil: 0, pinFailures: 0, pinBlockedUntil: 0 }, resolve));
+}
+
+async function lockStatus() {
+  const lock = await getPinLock();
+  const { unlockedUntil } = await getUnlockState();
+  return { enabled: !!lock, unlocked: !lock || unlockedUntil > Date.now() };
+}
+
+async function checkPin(pin) {
+  const lock = await getPinLock();
+  if (!lock) return true;
+  const state = await getUnlockState();
+  if (state.pinBlockedUntil > Date.now()) throw new Error("Too many wrong attempts — wait a moment and try again.");
+  const ok = (await hashPin(String(pin || ""), b64ToBytes(lock.salt), lock.iterations)) === lock.hash;
+  const failures = ok ? 0 : state.pinFailures + 1;
+  await new Promise((resolve) => chrome.storage.session.set({
+    pinFailures: failures >= PIN_MAX_FAILURES ? 0 : failures,
+    pinBlockedUntil: failures >= PIN_MAX_FAILURES ? Date.now() + PIN_COOLDOWN_MS : 0,
+  }, resolve));
+  return ok;
+}
+
+async function unlock(pin) {
+  if (!(await checkPin(pin))) throw new Error("Wrong PIN.");
+  await new Promise((resolve) => chrome.storage.session.set({ unlockedUntil: Date.now() + UNLOCK_MINUTES * 60000 }, resolve));
+}
+
+function relock() {
+  return new Promise((resolve) => chrome.storage.session.set({ unlockedUntil: 0 }, resolve));
+}
+
+// Empty `pin` removes the lock; changing or removing needs the current one
+async function setPin(current, pin) {
+  if (await getPinLock()) {
+    if (!(await checkPin(current))) throw new Error("Current PIN is wrong.");
+  }
+  if (!pin) {
+    await new Promise((resolve) => chrome.storage.local.remove("pinLock", resolve));
+    return;
+  }
+  if (String(pin).length < 4) throw new Error("Use at least 4 characters.");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const pinLock = { salt: bytesToB64(salt), hash: await hashPin(String(pin), salt), iterations: PIN_ITERATIONS };
+  await new Promise((resolve) => chrome.storage.local.set({ pinLock }, resolve));
+  await new Promise((resolve) => chrome.storage.session.set({ unlockedUntil: Date.now() + UNLOCK_MINUTES * 60000 }, resolve));
+}
+
+async function requireUnlocked() {
+  if (!(await lockStatus()).unlocked) throw new Error("Locked — enter the PIN first.");
+}
+
+// Options saves plain settings through YTL_SAVE_SETTINGS so the PIN is checked here,
+// not only by the page's lock screen. Keys outside these lists are refused.
+const SETTINGS_SYNC_KEYS = [
+  "apiKey", "quotaDailyLimit", "refreshDays", "dedupWindowMinutes", "rewatchMode", "sessionGapMinutes", "retention",
+  "backupSchedule", "backupKeep", "reportSchedule", "webhookEnabled", "webhookUrl",
+];
+const SETTINGS_LOCAL_KEYS = ["webhookSecret"];
 
-    // Dedup within TTL window
-    if (await recentlyLogged(profile, videoId)) {
-      return;
+async function saveSettings({ sync = {}, local = {} } = {}) {
+  const unknown = [
+    ...Object.keys(sync).filter(k => !SETTINGS_SYNC_KEYS.includes(k)),
+    ...Object.keys(local).filter(k => !SETTINGS_LOCAL_KEYS.includes(k)),
+  ];
+  if (unknown.length) throw new Error(`Not a setting: ${unknown.join(", ")}`);
+  if (Object.keys(local).length) await new Promise((resolve) => chrome.storage.local.set(local, resolve));
+  if (Object.keys(sync).length) await new Promise((resolve) => chrome.storage.sync.set(sync, resolve));
+  if ("apiKey" in sync) drainEnrichQueue(); // a new key may unblock queued entries
+}
+
+// --------------------------- Tamper evidence ---------------------------
+// Every new entry gets chainSeq (global, increasing), chainPrev (the previous
+// entry's hash) and chainHash over its identifying fields, which never change.
+// chainSeal covers everything else a user or importer can change and is
+// recomputed by each update path the app has, which it names in chainEdit.
+// Removals the app makes itself (clear, restore, retention, PIN-gated deletes)
+// are recorded in "auditLog" with the sequence ranges they removed; any other
+// gap or mismatch is reported by verifyLog as history removed or edited outside the app.
+const AUDIT_LOG_MAX = 500;
+// Cache and derived fields: rewritten by refresh/reflag, they carry no history
+const CHAIN_UNSEALED_FIELDS = new Set(["id", "chainSeq", "chainPrev", "chainHash", "chainSeal", "flags", "flagSeverity", "enrichment", "enrichedAt", "refreshedAt", "current", "availability", "ageRestricted", "regionBlocked"]);
+
+// Synchronous so entries can be sealed inside an IndexedDB cursor, where awaiting crypto.subtle would end the transaction
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const words = new Uint32Array((((bytes.length + 9 + 63) >> 6) << 4));
+  for (let i = 0; i < bytes.length; i++) words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+  words[bytes.length >> 2] |= 0x80 << (24 - (bytes.length % 4) * 8);
+  words[words.length - 1] = bytes.length * 8; // messages here stay far below 512 MB
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let off = 0; off < words.length; off += 16) {
+    for (let t = 0; t < 64; t++) {
+      w[t] = t < 16 ? words[off + t]
+        : (rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10)) + w[t - 7] + (rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3)) + w[t - 16];
     }
+    let [a, b, c, d, e, f, g, k] = h;
+    for (let t = 0; t < 64; t++) {
+      const t1 = (k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      k = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+  }
+  return [...h].map(x => x.toString(16).padStart(8, "0")).join("");
+}
 
-    const meta = apiKey ? await fetchVideoMetadataRich(videoId, apiKey) : {
-      // Fallback minimal meta if no API key is set
-      videoId,
-      title: null,
-      description: null,
-      durationSeconds: null,
-      channelId: null,
-      channelTitle: null,
-      publishedAt: null,
-      categoryId: null,
-      thumbnails: {},
-      tags: [],
-      defaultLanguage: null,
-      defaultAudioLanguage: null,
-      liveContent: "none",
-      caption: null,
-      madeForKids: null,
-      regionRestriction: null,
-      contentRating: null,
-      topicCategories: []
-    };
+// JSON with object keys sorted at every level, so field order never changes a hash
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(x => (x === undefined ? "null" : canonicalJson(x))).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).filter(k => v[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function chainHashOf(e) {
+  return sha256Hex(JSON.stringify([e.chainSeq, e.chainPrev, e.videoId, e.watchedAt, e.viewId || null]));
+}
+
+function chainSealOf(e) {
+  const fields = Object.fromEntries(Object.entries(e).filter(([k]) => !CHAIN_UNSEALED_FIELDS.has(k)));
+  return sha256Hex(canonicalJson([e.chainHash, fields]));
+}
+
+// Reseals `e` after an update path changed it; unchained (pre-chain) entries stay unchecked
+function sealEntry(e, path) {
+  if (!Number.isFinite(e.chainSeq)) return;
+  if (path) e.chainEdit = { path, at: new Date().toISOString() };
+  e.chainSeal = chainSealOf(e);
+}
+
+// Wraps a db update patch so every entry it writes is resealed
+function sealed(path, patch) {
+  return (e) => {
+    if (patch(e) !== true) return false;
+    sealEntry(e, path);
+    return true;
+  };
+}
+
+function getChainHead() {
+  return new Promise((resolve) => chrome.storage.local.get({ chainHead: { seq: 0, hash: "" } }, ({ chainHead }) => resolve(chainHead)));
+}
+
+function getAuditLog() {
+  return new Promise((resolve) => chrome.storage.local.get({ auditLog: [] }, ({ auditLog }) => resolve(Array.isArray(auditLog) ? auditLog : [])));
+}
+
+// [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+function toRanges(seqs) {
+  const sorted = [...new Set(seqs.filter(n => Number.isFinite(n)))].sort((a, b) => a - b);
+  const out = [];
+  for (const n of sorted) {
+    const last = out[out.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else out.push([n, n]);
+  }
+  return out;
+}
+
+async function recordAudit(action, ranges, detail = null) {
+  const auditLog = await getAuditLog();
+  auditLog.push({ at: new Date().toISOString(), action, ranges, count: ranges.reduce((n, [a, b]) => n + b - a + 1, 0), ...(detail ? { detail } : {}) });
+  await new Promise((resolve) => chrome.storage.local.set({ auditLog: auditLog.slice(-AUDIT_LOG_MAX) }, resolve));
+}
+
+// Serializes head read -> link -> write so concurrent logs can't fork the chain
+let chainChain = Promise.resolve();
+function withChainLock(fn) {
+  const run = chainChain.then(fn, fn);
+  chainChain = run.catch(() => {});
+  return run;
+}
+
+// Links `entries` (in order) onto the head and stores them with `write(entries)`; the head only moves if the write succeeds
+function appendChained(entries, write) {
+  return withChainLock(async () => {
+    const head = await getChainHead();
+    let { seq, hash } = head;
+    for (const e of entries) {
+      e.chainSeq = ++seq;
+      e.chainPrev = hash;
+      e.chainHash = hash = chainHashOf(e);
+      sealEntry(e, null);
+    }
+    const result = await write(entries);
+    await new Promise((resolve) => chrome.storage.local.set({ chainHead: { seq, hash } }, resolve));
+    return result;
+  });
+}
+
+// Clears the whole log (clear/restore) and records the removed range.
+// Dedup markers point at entry ids, so they go too.
+async function clearEntriesAudited(action) {
+  const seqs = (await dbGetAllEntries()).map(e => e.chainSeq);
+  await dbClearEntries();
+  await dbClearLastLogged();
+  const ranges = toRanges(seqs);
+  if (ranges.length) await recordAudit(action, ranges);
+}
+
+// Seqs in [from, to] not covered by an audit range
+function unexplained(from, to, auditRanges) {
+  let count = 0, cur = from;
+  for (const [a, b] of auditRanges) {
+    if (b < cur) continue;
+    if (a > to) break;
+    if (a > cur) count += a - cur;
+    cur = Math.max(cur, b + 1);
+    if (cur > to) break;
+  }
+  if (cur <= to) count += to - cur + 1;
+  return count;
+}
+
+async function verifyLog() {
+  await dbReady;
+  const all = await dbGetAllEntries();
+  const chained = all.filter(e => Number.isFinite(e.chainSeq)).sort((a, b) => a.chainSeq - b.chainSeq);
+  const head = await getChainHead();
+  const auditLog = await getAuditLog();
+  const auditRanges = auditLog.flatMap(ev => ev.ranges || []).sort((a, b) => a[0] - b[0]);
+  const problems = [];
+  let removed = 0, edited = 0;
+
+  let prevSeq = 0, prevHash = "";
+  for (const e of chained) {
+    if (chainHashOf(e) !== e.chainHash || chainSealOf(e) !== e.chainSeal || (e.chainSeq === prevSeq + 1 && e.chainPrev !== prevHash)) {
+      edited++;
+      problems.push({ type: "edited", seq: e.chainSeq, id: e.id, videoId: e.videoId, watchedAt: e.watchedAt, lastEdit: e.chainEdit || null });
+    }
+    if (e.chainSeq > prevSeq + 1) {
+      const n = unexplained(prevSeq + 1, e.chainSeq - 1, auditRanges);
+      if (n) {
+        removed += n;
+        problems.push({ type: "removed", fromSeq: prevSeq + 1, toSeq: e.chainSeq - 1, count: n, before: e.watchedAt });
+      }
+    }
+    prevSeq = e.chainSeq;
+    prevHash = e.chainHash;
+  }
+  if (head.seq > prevSeq) {
+    const n = unexplained(prevSeq + 1, head.seq, auditRanges);
+    if (n) {
+      removed += n;
+      problems.push({ type: "removed", fromSeq: prevSeq + 1, toSeq: head.seq, count: n, before: null });
+    }
+  }
+  return {
+    ok: !problems.length,
+    checkedAt: new Date().toISOString(),
+    checked: chained.length,
+    unchained: all.length - chained.length, // logged before the chain existed
+    headSeq: head.seq,
+    removed,
+    edited,
+    problems: problems.slice(0, 100),
+    lastAudit: auditLog[auditLog.length - 1] || null,
+  };
+}
+
+// The last result stands while the chain head and audit log are unchanged; `force` checks again anyway
+async function verifyLogCached({ force = false } = {}) {
+  const head = await getChainHead();
+  const auditLog = await getAuditLog();
+  const key = `${head.seq}:${head.hash}:${auditLog.length}:${auditLog[auditLog.length - 1]?.at || ""}`;
+  const { integrityCheck } = await new Promise((resolve) => chrome.storage.local.get({ integrityCheck: null }, resolve));
+  if (!force && integrityCheck?.key === key) return integrityCheck.result;
+  const result = await verifyLog();
+  await new Promise((resolve) => chrome.storage.local.set({ integrityCheck: { key, result } }, resolve));
+  return result;
+}
+
+// --------------------------- Watch progress ---------------------------
+// Progress reports that arrive before their entry is written (metadata still
+// loading) are parked here and merged in by logYouTubeWatch.
+const pendingWatchStats = new Map();
+
+function summarizeWatch(entry, stats) {
+  const duration = entry.durationSeconds || stats.mediaDurationSeconds || null;
+  const watched = stats.watchedSeconds || 0;
+  return {
+    watchedSeconds: watched,
+    maxPositionSeconds: stats.maxPositionSeconds ?? null,
+    completionPct: duration ? Math.min(100, Math.round((watched / duration) * 100)) : null,
+    ended: !!stats.ended,
+    autoplayedNext: !!stats.autoplayedNext,
+    playbackRate: stats.playbackRate ?? 1,
+    pauseCount: stats.pauseCount ?? 0,
+    seekCount: stats.seekCount ?? 0,
+    bufferingCount: stats.bufferingCount ?? 0,
+    bufferingSeconds: stats.bufferingSeconds ?? 0,
+    ...(entry.durationSeconds == null && stats.mediaDurationSeconds ? { durationSeconds: stats.mediaDurationSeconds } : {}),
+    ...(stats.pageTitle ? { pageTitle: String(stats.pageTitle).slice(0, 300) } : {}),
+  };
+}
+
+// A rewatch event keeps only the per-view numbers; the entry's own fields describe the first view
+function rewatchStats(entry, stats) {
+  const { watchedSeconds, completionPct, ended } = summarizeWatch(entry, stats);
+  return { watchedSeconds, completionPct, ended };
+}
+
+// The entry a view belongs to: its own, or the one it was folded into as a rewatch
+async function entryForView(viewId) {
+  return (await dbGetEntriesByIndex("viewId", viewId))[0] ||
+    (await dbGetEntriesByIndex("rewatchViewIds", viewId))[0] || null;
+}
+
+// `final`: the view is over (tab closed, navigated away), so its totals are settled
+async function updateWatchStats(viewId, stats, { final = false } = {}) {
+  await dbReady;
+  let touched = null;
+  let updated = await dbUpdateByIndex("viewId", viewId, sealed("progress", (e) => {
+    Object.assign(e, summarizeWatch(e, stats));
+    touched = e;
+    return true;
+  }));
+  if (!updated) {
+    updated = await dbUpdateByIndex("rewatchViewIds", viewId, sealed("progress", (e) => {
+      const ev = (e.rewatches || []).find(v => v.viewId === viewId);
+      if (!ev) return false;
+      Object.assign(ev, rewatchStats(e, stats));
+      touched = e;
+      return true;
+    }));
+  }
+  if (!updated) {
+    // Views dropped by the dedup window never get an entry; keep the map bounded
+    if (pendingWatchStats.size > 100) pendingWatchStats.delete(pendingWatchStats.keys().next().value);
+    pendingWatchStats.set(viewId, stats);
+    return false;
+  }
+  await touchLog({ progress: !final });
+  scheduleSessionRebuild(touched.profile, touched.watchedAt);
+  if (final) queueWebhook("entry.updated", [touched.id]).catch(webhookQueueFailed);
+  return true;
+}
+
+// --------------------------- Core logging ---------------------------
+// Placeholder metadata for an entry that hasn't been enriched yet
+function emptyMeta(videoId) {
+  return {
+    videoId,
+    title: null,
+    description: null,
+    durationSeconds: null,
+    channelId: null,
+    channelTitle: null,
+    publishedAt: null,
+    categoryId: null,
+    thumbnails: {},
+    tags: [],
+    defaultLanguage: null,
+    defaultAudioLanguage: null,
+    liveContent: "none",
+    caption: null,
+    madeForKids: null,
+    regionRestriction: null,
+    contentRating: null,
+    topicCategories: [],
+    viewCount: null,
+    likeCount: null,
+    commentCount: null,
+  };
+}
+
+// The metadata-derived part of an entry; shared by logging and enrichment
+function entryMetaFields(meta, url, categoryName = null) {
+  return {
+    // core video fields
+    title: meta.title,
+    description: meta.description,
+    channelId: meta.channelId,
+    channelTitle: meta.channelTitle,
+    publishedAt: meta.publishedAt,
+
+    // durations & type
+    durationSeconds: meta.durationSeconds,
+    isShorts: inferIsShorts({ url, durationSeconds: meta.durationSeconds }),
+    liveContent: meta.liveContent,
+
+    // categorization
+    categoryId: meta.categoryId,
+    categoryName,
+    tags: meta.tags,
+    topicCategories: meta.topicCategories,
+
+    // locale & captions
+    defaultLanguage: meta.defaultLanguage,
+    defaultAudioLanguage: meta.defaultAudioLanguage,
+    caption: meta.caption,
+    madeForKids: meta.madeForKids,
+
+    // restrictions / rating
+    regionRestriction: meta.regionRestriction,
+    contentRating: meta.contentRating,
+
+    // optics
+    thumbnails: meta.thumbnails,
+
+    // public-ish stats
+    viewCount: meta.viewCount,
+    likeCount: meta.likeCount,
+    commentCount: meta.commentCount,
+  };
+}
+
+// How the video was reached, as reported by the content script
+const NAV_SOURCES = ["search", "home", "subscriptions", "feed", "autoplay", "related", "playlist", "channel", "shorts_swipe", "external", "direct", "other"];
+// Where it was played: watch page, Shorts, /live/, the miniplayer, m.youtube.com, YouTube Music, an /embed/ player
+const SURFACES = ["watch", "shorts", "live", "miniplayer", "mobile", "music", "embed"];
+
+function navigationFields(ctx) {
+  const c = ctx && typeof ctx === "object" ? ctx : {};
+  const str = (v, max = 500) => (typeof v === "string" && v ? v.slice(0, max) : null);
+  const num = (v) => (Number.isFinite(v) && v >= 0 ? Math.round(v) : null);
+  return {
+    navSource: NAV_SOURCES.includes(c.navSource) ? c.navSource : null,
+    surface: SURFACES.includes(c.surface) ? c.surface : null,
+    searchQuery: str(c.searchQuery),
+    playlistId: str(c.playlistId, 100),
+    playlistIndex: num(c.playlistIndex),
+    sourceChannel: str(c.sourceChannel, 200),
+    referrer: str(c.referrer, 2000),
+    startOffsetSeconds: num(c.startOffsetSeconds),
+    pageTitle: null, // filled by progress reports once YouTube has updated document.title
+  };
+}
 
-    const categoryName = apiKey ? await getCategoryName(meta.categoryId, apiKey, "US") : null;
-    const channelExtra = apiKey && meta.channelId ? await fetchChannelBasics(meta.channelId, apiKey) : null;
+// Folds a repeat view into the entry that first logged the video. Returns false
+// when that entry is gone (deleted, pruned), so the view gets an entry of its own.
+async function addRewatch(entryId, { viewId, context }) {
+  const nav = navigationFields(context);
+  const updated = await dbUpdateEntry(entryId, sealed("rewatch", (e) => {
+    const ev = { viewId: viewId || null, watchedAt: new Date().toISOString(), navSource: nav.navSource, surface: nav.surface, watchedSeconds: 0, completionPct: null, ended: false };
+    if (pendingWatchStats.has(viewId)) Object.assign(ev, rewatchStats(e, pendingWatchStats.get(viewId)));
+    e.rewatches = [...(e.rewatches || []), ev];
+    e.rewatchViewIds = [...(e.rewatchViewIds || []), ...(viewId ? [viewId] : [])];
+    e.rewatchCount = e.rewatches.length;
+    e.lastWatchedAt = ev.watchedAt;
+    return true;
+  }));
+  if (!updated) return false;
+  pendingWatchStats.delete(viewId);
+  await touchLog();
+  scheduleSessionRebuild(updated.profile, updated.watchedAt);
+  queueWebhook("entry.updated", [updated.id]).catch(webhookQueueFailed);
+  return true;
+}
+
+// `known` is entry-shaped metadata already fetched (e.g. for parental controls);
+// `blocked` is the controls verdict. Block events are always logged, even
+// inside the dedup window.
+async function logYouTubeWatch({ videoId, url, viewId, context = null, known = null, blocked = null }) {
+  try {
+    await dbReady;
+    const { profile } = await getConfig();
+    const { dedupWindowMinutes, rewatchMode } = await getLogPolicy();
+    const rules = await getFlagRules();
+
+    // Inside the dedup window: a rewatch on the earlier entry, or nothing.
+    // The window runs from the first view; rewatches don't move the marker's time.
+    const last = blocked ? null : await recentlyLogged(profile, videoId, dedupWindowMinutes);
+    if (last) {
+      if (rewatchMode === "events") {
+        const entryId = last.entryId ?? await latestEntryId(profile, videoId);
+        if (entryId != null && await addRewatch(entryId, { viewId, context })) {
+          if (last.entryId == null) await dbSetLastLogged(last.key, last.at, entryId);
+          return;
+        }
+      }
+      if (rewatchMode === "ignore") {
+        pendingWatchStats.delete(viewId);
+        return;
+      }
+    }
 
+    // Written right away; metadata is filled in later by the enrichment queue
     const entry = {
       // identifiers
       videoId,
       url,
       profile,
+      viewId: viewId || null,
 
-      // core video fields
-      title: meta.title,
-      description: meta.description,
-      channelId: meta.channelId,
-      channelTitle: meta.channelTitle,
-      publishedAt: meta.publishedAt,
-
-      // durations & type
-      durationSeconds: meta.durationSeconds,
-      isShorts: inferIsShorts({ url, durationSeconds: meta.durationSeconds }),
-      liveContent: meta.liveContent,
-
-      // categorization
-      categoryId: meta.categoryId,
-      categoryName,
-      tags: meta.tags,
-      topicCategories: meta.topicCategories,
-
-      // locale & captions
-      defaultLanguage: meta.defaultLanguage,
-      defaultAudioLanguage: meta.defaultAudioLanguage,
-      caption: meta.caption,
-      madeForKids: meta.madeForKids,
-
-      // restrictions / rating
-      regionRestriction: meta.regionRestriction,
-      contentRating: meta.contentRating,
-
-      // optics
-      thumbnails: meta.thumbnails,
-
-      // public-ish stats
-      viewCount: meta.viewCount,
-      likeCount: meta.likeCount,
-      commentCount: meta.commentCount,
+      ...(known ? entryMetaFields(known, url, known.categoryName) : entryMetaFields(emptyMeta(videoId), url)),
+      ...(known?.channelExtra ? { channelExtra: known.channelExtra } : {}),
 
       // context
       watchedAt: new Date().toISOString(),
+      ...navigationFields(context),
 
-      // optional channel enrichment
-      ...(channelExtra ? { channelExtra } : {}),
+      // pending | done | unavailable; metaProvider = which provider filled the metadata
+      enrichment: known ? "done" : "pending",
+      metaProvider: known?.metaProvider || null,
+      ...(known ? { refreshedAt: new Date().toISOString() } : {}),
+
+      // parental controls
+      ...(blocked ? { blocked } : {}),
     };
 
+    // playback (updated by YTL_PROGRESS while the video is watched)
+    if (pendingWatchStats.has(viewId)) {
+      Object.assign(entry, summarizeWatch(entry, pendingWatchStats.get(viewId)));
+      pendingWatchStats.delete(viewId);
+    }
+    const flagged = applyFlags(rules, entry) || [];
+
     await setLogEntry(entry);
-    await markLogged(profile, videoId);
+    notifyFlags(entry, flagged, rules).catch((err) => console.error("[YTL] Flag notification failed:", err));
+    await markLogged(profile, videoId, entry.id, dedupWindowMinutes);
+    scheduleSessionRebuild(profile, entry.watchedAt);
+    queueWebhook("entry.logged", [entry.id]).catch(webhookQueueFailed);
+    if (!known) await enqueueEnrichment([videoId]);
     // Notify popup (if open)
     chrome.runtime.sendMessage({ type: "YTL_LOGGED", entry });
   } catch (err) {
@@ -252,17 +856,1465 @@ async function logYouTubeWatch({ videoId, url }) {
   }
 }
 
-// --------------------------- Message handling ---------------------------
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg?.type === "YTL_VIDEO") {
-    // { videoId, url }
-    logYouTubeWatch({ videoId: msg.videoId, url: msg.url });
-    sendResponse({ ok: true });
-    return true; // keep port open for async
+// --------------------------- Sessions ---------------------------
+// Sessions (groupSessions in stats.js) are kept in the sessions store. New
+// watches and progress only regroup the tail of one profile's history;
+// bulk changes (import, restore, clear, retention, profile edits, a new gap)
+// rebuild everything. Pages watch `sessionsRevision` to pick up changes.
+const DEFAULT_SESSION_GAP_MINUTES = 30;
+const SESSION_REBUILD_DELAY_MS = 2000;
+
+function getSessionGap() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ sessionGapMinutes: DEFAULT_SESSION_GAP_MINUTES }, ({ sessionGapMinutes }) =>
+      resolve(Math.max(1, Number(sessionGapMinutes) || DEFAULT_SESSION_GAP_MINUTES)));
+  });
+}
+
+let sessionChain = Promise.resolve();
+function withSessionLock(fn) {
+  const run = sessionChain.then(fn, fn);
+  sessionChain = run.catch((err) => console.error("[YTL] Session rebuild failed:", err));
+  return run;
+}
+
+function touchSessions() {
+  return new Promise((resolve) => chrome.storage.local.set({ sessionsRevision: Date.now() }, resolve));
+}
+
+// Regroups from the session containing `sinceIso` (or the one before it) onward; all of the profile when null
+async function rebuildSessions(profile, sinceIso = null) {
+  const gap = await getSessionGap();
+  let from = null;
+  if (sinceIso) {
+    const prev = await dbSessionAtOrBefore(profile, sinceIso);
+    from = prev ? prev.startAt : sinceIso;
   }
-  if (msg?.type === "YTL_SET_CONFIG") {
-    // { apiKey, profile }
-    chrome.storage.sync.set({ apiKey: msg.apiKey || "", profile: msg.profile || "Child" }, () => sendResponse({ ok: true }));
+  const rows = await dbGetAllEntries({ profile, after: from });
+  await dbReplaceSessions(profile, from, groupSessions(rows, gap));
+}
+
+function rebuildAllSessions() {
+  return withSessionLock(async () => {
+    await dbReady;
+    await dbClearSessions();
+    for (const profile of await dbListProfiles()) await rebuildSessions(profile);
+    await new Promise((resolve) => chrome.storage.local.set({ sessionsBuilt: true }, resolve));
+    await touchSessions();
+  });
+}
+
+// Coalesces the frequent small updates (every progress heartbeat) into one regroup per profile
+const sessionDirty = new Map(); // profile -> earliest watchedAt touched
+let sessionTimer = null;
+
+function scheduleSessionRebuild(profile, sinceIso) {
+  const cur = sessionDirty.get(profile);
+  sessionDirty.set(profile, cur == null || sinceIso < cur ? sinceIso : cur);
+  clearTimeout(sessionTimer);
+  sessionTimer = setTimeout(() => {
+    const dirty = [...sessionDirty];
+    sessionDirty.clear();
+    withSessionLock(async () => {
+      for (const [p, since] of dirty) await rebuildSessions(p, since);
+      await touchSessions();
+    });
+  }, SESSION_REBUILD_DELAY_MS);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.sessionGapMinutes) rebuildAllSessions();
+});
+
+// Logs from before sessions existed get grouped once
+chrome.storage.local.get({ sessionsBuilt: false }, ({ sessionsBuilt }) => {
+  if (!sessionsBuilt) rebuildAllSessions();
+});
+
+// --------------------------- Parental controls ---------------------------
+// Verdicts come from evaluateControls (controls.js). Channel/category/keyword
+// rules need metadata before the video has been enriched, so a controlled
+// profile asks the providers immediately (API calls still count against the budget).
+function startOfTodayIso() {
+  const d = new Date();
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).toISOString();
+}
+
+async function usageToday(profile) {
+  const rows = await dbGetAllEntries({ profile, after: startOfTodayIso() });
+  let seconds = 0, shortsSeconds = 0;
+  for (const r of rows) {
+    // only tracked playback counts; a view that hasn't reported yet is 0
+    const sec = (r.watchedSeconds || 0) + rewatchSeconds(r);
+    seconds += sec;
+    if (r.isShorts) shortsSeconds += sec;
+  }
+  return { seconds, shortsSeconds };
+}
+
+// `localOnly`: uncontrolled profiles only take metadata that's free right now
+// (page data); anything else is left to the batched queue.
+async function metaForVideo(videoId, url, { localOnly = false } = {}) {
+  if (!localOnly) {
+    const known = (await dbGetEntriesByIndex("videoId", videoId)).find(e => e.enrichment === "done");
+    if (known) return known;
+  }
+  try {
+    const r = (await lookupMetadata([videoId], { localOnly })).results.get(videoId);
+    if (!r) return null;
+    return { ...entryMetaFields(r.meta, url, r.categoryName), channelExtra: r.channelExtra, metaProvider: r.provider };
+  } catch (err) {
+    console.warn("[YTL] Metadata lookup failed:", err);
+    return null;
+  }
+}
+
+function blockRecord(verdict) {
+  return { ...verdict, at: new Date().toISOString() };
+}
+
+// New video: evaluate every rule, then log (with the verdict attached)
+async function handleVideo({ videoId, url, viewId, context }) {
+  await dbReady;
+  const { profile } = await getConfig();
+  const controls = await getControls(profile);
+  let known = null, verdict = null;
+  if (controls.enabled) {
+    known = await metaForVideo(videoId, url);
+    const isShorts = inferIsShorts({ url, durationSeconds: known?.durationSeconds });
+    verdict = evaluateControls(controls, known, await usageToday(profile), isShorts);
+  } else {
+    known = await metaForVideo(videoId, url, { localOnly: true });
+  }
+  await logYouTubeWatch({ videoId, url, viewId, context, known, blocked: verdict ? blockRecord(verdict) : null });
+  return verdict;
+}
+
+// While playing: only the time limits can change, so re-check those on each heartbeat
+async function checkLimitsForView(viewId) {
+  const entry = await entryForView(viewId);
+  if (!entry) return null;
+  const controls = await getControls(entry.profile);
+  if (!controls.enabled || (!controls.dailyLimitMinutes && !controls.shortsLimitMinutes)) return null;
+  // A rewatch carries its own verdict; the first view's block doesn't apply to it
+  const viewOf = (e) => (e.viewId === viewId ? e : (e.rewatches || []).find(v => v.viewId === viewId));
+  if (viewOf(entry)?.blocked) return viewOf(entry).blocked;
+
+  const limitsOnly = { ...DEFAULT_CONTROLS, enabled: true, dailyLimitMinutes: controls.dailyLimitMinutes, shortsLimitMinutes: controls.shortsLimitMinutes };
+  // metadata rules were already applied when the video started
+  const verdict = evaluateControls(limitsOnly, entry, await usageToday(entry.profile), entry.isShorts);
+  if (!verdict) return null;
+  const blocked = blockRecord(verdict);
+  await dbUpdateEntry(entry.id, sealed("block", (e) => {
+    const target = viewOf(e);
+    if (!target) return false;
+    target.blocked = blocked;
+    return true;
+  }));
+  await touchLog();
+  return blocked;
+}
+
+// --------------------------- Flag rules ---------------------------
+// Rules from Options (rules.js) set entry.flags / flagSeverity. They run when an
+// entry is logged and again when its metadata arrives or is refreshed; only flags
+// new to an entry raise a notification, so a video alerts once. Editing the rules
+// re-flags the whole log without notifications.
+const FLAG_NOTIFICATION_PREFIX = "ytl-flag:";
+
+// Re-evaluates `e` in place. Returns null when its flags didn't change, else the flags it didn't have before.
+function applyFlags(rules, e) {
+  const prev = Array.isArray(e.flags) ? e.flags : [];
+  const flags = evaluateFlagRules(rules, e);
+  if (JSON.stringify(flags) === JSON.stringify(prev)) return null;
+  if (flags.length) {
+    e.flags = flags;
+    e.flagSeverity = topFlagSeverity(flags);
+  } else {
+    delete e.flags;
+    delete e.flagSeverity;
+  }
+  const had = new Set(prev.map(f => f.ruleId));
+  return flags.filter(f => !had.has(f.ruleId));
+}
+
+async function notifyFlags(entry, flags, rules) {
+  const alerts = flags.filter(f => rules.find(r => r.id === f.ruleId)?.notify);
+  if (!alerts.length || !chrome.notifications) return;
+  const { profiles } = await getProfiles();
+  const severity = topFlagSeverity(alerts);
+  await chrome.notifications.create(`${FLAG_NOTIFICATION_PREFIX}${entry.id}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: `Flagged (${severity}): ${entry.title || entry.videoId}`,
+    message: `${profileLabel(profiles, entry.profile)} — ${alerts.map(f => `${f.name}: ${f.reason}`).join(" · ")}`,
+    priority: FLAG_SEVERITIES.indexOf(severity),
+  });
+}
+
+let reflagging = Promise.resolve();
+function reflagAll() {
+  reflagging = reflagging.then(async () => {
+    await dbReady;
+    const rules = await getFlagRules();
+    const ids = [];
+    await dbUpdateAll((e) => {
+      if (!applyFlags(rules, e)) return false;
+      ids.push(e.id);
+      return true;
+    });
+    if (ids.length) {
+      await touchLog();
+      queueWebhook("entry.updated", ids).catch(webhookQueueFailed);
+    }
+    return ids.length;
+  });
+  return reflagging;
+}
+
+// Profile renames and merges carry over to rules limited to those profiles
+async function moveFlagRuleProfiles(from, to) {
+  const rules = await getFlagRules();
+  let moved = false;
+  for (const r of rules) {
+    if (!r.profiles.some(p => from.includes(p))) continue;
+    r.profiles = [...new Set(r.profiles.map(p => (from.includes(p) ? to : p)))];
+    moved = true;
+  }
+  if (moved) await saveFlagRules(rules);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.flagRules) reflagAll().catch((err) => console.error("[YTL] Re-flagging failed:", err));
+});
+
+// Opens the list in a tab, filtered to flagged entries
+chrome.notifications?.onClicked.addListener((id) => {
+  if (!id.startsWith(FLAG_NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(id);
+  chrome.tabs.create({ url: chrome.runtime.getURL("popup.html?flagged=1") });
+});
+
+// --------------------------- Import ---------------------------
+// Records come pre-planned (deduped) from the Options import preview.
+async function importEntries(records) {
+  await dbReady;
+  const importedAt = new Date().toISOString();
+  const entries = records.filter(r => r && r.videoId && r.watchedAt).map(({ id, viewId, chainEdit, ...r }) => {
+    const url = r.url || `https://www.youtube.com/watch?v=${r.videoId}`;
+    return {
+      viewId: null,
+      ...entryMetaFields(emptyMeta(r.videoId), url),
+      ...r,
+      url,
+      isShorts: r.isShorts ?? inferIsShorts({ url, durationSeconds: r.durationSeconds }),
+      enrichment: r.enrichment === "done" ? "done" : "pending",
+      ...(r.enrichment === "done" ? { refreshedAt: r.refreshedAt || importedAt } : {}),
+      importedAt,
+    };
+  });
+  const rules = await getFlagRules();
+  for (const e of entries) applyFlags(rules, e);
+  await appendChained(entries, dbAddEntries);
+  await enqueueEnrichment(entries.filter(e => e.enrichment === "pending").map(e => e.videoId));
+  await touchLog();
+  rebuildAllSessions();
+  return entries.length;
+}
+
+// --------------------------- Profiles ---------------------------
+// Entries carry the profile name, so renaming or merging rewrites them too.
+// Per-profile settings maps in chrome.storage.sync follow the profile as well.
+const PROFILE_KEYED_SETTINGS = ["controls", "retention"];
+
+// `to` null drops the settings of `from` (merge: the target keeps its own)
+async function moveProfileSettings(from, to) {
+  const stored = await new Promise((resolve) => chrome.storage.sync.get(PROFILE_KEYED_SETTINGS, resolve));
+  const changed = {};
+  for (const key of PROFILE_KEYED_SETTINGS) {
+    const map = stored[key] && typeof stored[key] === "object" ? stored[key] : {};
+    if (!from.some(name => map[name])) continue;
+    for (const name of from) {
+      if (to && map[name]) map[to] = map[name];
+      delete map[name];
+    }
+    changed[key] = map;
+  }
+  if (Object.keys(changed).length) await new Promise((resolve) => chrome.storage.sync.set(changed, resolve));
+}
+
+async function renameProfile(from, to) {
+  to = (to || "").trim();
+  if (!from || !to || from === to) return 0;
+  const { profiles, active } = await getProfiles();
+  if (findProfile(profiles, to)) throw new Error(`Profile "${to}" already exists — merge instead.`);
+  const renamed = profiles.map(p => (p.name === from ? { ...p, name: to } : p));
+  await saveProfiles(renamed, active === from ? to : active);
+  await moveProfileSettings([from], to);
+  await moveFlagRuleProfiles([from], to);
+  await dbReady;
+  const changed = await dbUpdateByIndex("profile", from, sealed("rename", (e) => { e.profile = to; return true; }));
+  await touchLog();
+  rebuildAllSessions();
+  return changed;
+}
+
+async function mergeProfiles(sources, into) {
+  const from = sources.filter(name => name && name !== into);
+  if (!into || !from.length) return 0;
+  const { profiles, active } = await getProfiles();
+  const kept = profiles.filter(p => !from.includes(p.name));
+  if (!findProfile(kept, into)) kept.push(makeProfile(into, kept.length));
+  await saveProfiles(kept, from.includes(active) ? into : active);
+  await moveProfileSettings(from, null);
+  await moveFlagRuleProfiles(from, into);
+  await dbReady;
+  const changed = await dbUpdateByIndex("profile", from, sealed("merge", (e) => { e.profile = into; return true; }));
+  await touchLog();
+  rebuildAllSessions();
+  return changed;
+}
+
+// --------------------------- Entry edits ---------------------------
+// Per-entry actions from the popup. Notes, ratings, favorites and labels are
+// the viewer's own curation and need no PIN. Deleting an entry or moving it to
+// another profile changes what a parent sees, so both go through the PIN gate,
+// and a delete is recorded in the audit log like any other removal.
+const NOTE_MAX = 2000;
+const LABELS_MAX = 20;
+const LABEL_MAX = 40;
+
+// Only the fields present in `patch`, cleaned up
+function annotationFields(patch) {
+  const out = {};
+  if ("note" in patch) out.note = String(patch.note ?? "").trim().slice(0, NOTE_MAX) || null;
+  if ("rating" in patch) {
+    const n = Math.round(Number(patch.rating));
+    out.rating = n >= 1 && n <= 5 ? n : null;
+  }
+  if ("favorite" in patch) out.favorite = !!patch.favorite;
+  if ("labels" in patch) {
+    // "," separates labels in the popup and "|" in CSV exports
+    const labels = (Array.isArray(patch.labels) ? patch.labels : []).map(s => String(s).replace(/[,|]/g, " ").trim().slice(0, LABEL_MAX)).filter(Boolean);
+    out.labels = [...new Set(labels)].slice(0, LABELS_MAX);
+  }
+  return out;
+}
+
+async function annotateEntry(id, patch) {
+  await dbReady;
+  const fields = annotationFields(patch && typeof patch === "object" ? patch : {});
+  const updated = await dbUpdateEntry(id, sealed("annotate", (e) => {
+    Object.assign(e, fields, { editedAt: new Date().toISOString() });
+    return true;
+  }));
+  if (!updated) throw new Error("That entry no longer exists.");
+  await touchLog();
+  queueWebhook("entry.updated", [id]).catch(webhookQueueFailed);
+  return updated;
+}
+
+async function reassignEntry(id, profile) {
+  profile = (profile || "").trim();
+  if (!profile) throw new Error("Pick a profile.");
+  await dbReady;
+  const rules = await getFlagRules();
+  let from = null;
+  const updated = await dbUpdateEntry(id, sealed("reassign", (e) => {
+    if (e.profile === profile) return false;
+    from = e.profile;
+    e.profile = profile;
+    e.editedAt = new Date().toISOString();
+    applyFlags(rules, e); // rules can be limited to profiles
+    return true;
+  }));
+  if (!updated) return false;
+  await forgetLogged(from, updated.videoId);
+  await touchLog();
+  scheduleSessionRebuild(from, updated.watchedAt);
+  scheduleSessionRebuild(profile, updated.watchedAt);
+  queueWebhook("entry.updated", [id]).catch(webhookQueueFailed);
+  return true;
+}
+
+async function deleteEntry(id) {
+  await dbReady;
+  const entry = await dbGetEntry(id);
+  if (!entry) return false;
+  await dbDeleteEntry(id);
+  const ranges = toRanges([entry.chainSeq]);
+  if (ranges.length) await recordAudit("delete", ranges, { videoId: entry.videoId, title: entry.title || null });
+  await forgetLogged(entry.profile, entry.videoId);
+  await touchLog();
+  scheduleSessionRebuild(entry.profile, entry.watchedAt);
+  queueWebhookDeletion(entry).catch(webhookQueueFailed);
+  return true;
+}
+
+// --------------------------- Metadata providers ---------------------------
+// Providers (providers.js) are tried in the order set in Options; each one
+// fills what it can and passes the rest on. A provider's result is a Map
+// videoId -> { meta, categoryName, channelExtra } | null (confirmed unavailable);
+// ids it leaves out are unknown to it.
+const PAGE_DATA_CACHE_MAX = 200;
+
+// Page data arrives with YTL_VIDEO; session storage keeps it across service worker restarts
+function getPageDataCache() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get({ pageDataCache: {} }, ({ pageDataCache }) => resolve(pageDataCache || {}));
+  });
+}
+
+async function rememberPageData(videoId, page) {
+  const cache = await getPageDataCache();
+  cache[videoId] = { page, at: Date.now() };
+  const keys = Object.keys(cache);
+  if (keys.length > PAGE_DATA_CACHE_MAX) {
+    keys.sort((a, b) => cache[a].at - cache[b].at);
+    for (const k of keys.slice(0, keys.length - PAGE_DATA_CACHE_MAX)) delete cache[k];
+  }
+  await new Promise((resolve) => chrome.storage.session.set({ pageDataCache: cache }, resolve));
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { credentials: "omit" });
+  return { status: res.status, data: res.ok ? await res.json() : null };
+}
+
+const providerImpls = {
+  youtubeApi: {
+    async usable(cfg) {
+      if (!cfg.apiKey) return false;
+      const quota = await getQuota();
+      return !quota.exhausted && quota.units + ENRICH_QUOTA_PER_BATCH <= cfg.quotaDailyLimit;
+    },
+    fetch: (videoIds, cfg) => fetchEnrichment(videoIds, cfg.apiKey),
+  },
+  pageData: {
+    local: true, // already on hand; costs nothing
+    usable: async () => true,
+    async fetch(videoIds) {
+      const cache = await getPageDataCache();
+      const out = new Map();
+      for (const videoId of videoIds) {
+        if (cache[videoId]?.page) out.set(videoId, metaFromPageData(videoId, cache[videoId].page));
+      }
+      return out;
+    },
+  },
+  instance: {
+    usable: async (cfg) => !!cfg.instanceEndpoint,
+    async fetch(videoIds, cfg) {
+      // Third-party instances fail for many reasons; never treat them as proof a video is gone.
+      // A failed id is left for the next provider without losing the ones already fetched.
+      const out = new Map();
+      let lastError = null;
+      for (const videoId of videoIds) {
+        try {
+          const { data } = await fetchJson(instanceVideoUrl(cfg.instanceEndpoint, videoId));
+          if (data && !data.error) out.set(videoId, metaFromInstance(videoId, data));
+        } catch (err) {
+          lastError = err;
+        }
+      }
+      if (!out.size && lastError) throw lastError; // nothing worked: report the instance as failing
+      return out;
+    },
+  },
+  oembed: {
+    usable: async () => true,
+    async fetch(videoIds) {
+      const out = new Map();
+      for (const videoId of videoIds) {
+        const url = `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(`https://www.youtube.com/watch?v=${videoId}`)}`;
+        const { status, data } = await fetchJson(url);
+        if (data) out.set(videoId, metaFromOembed(videoId, data));
+        else if (status === 400 || status === 404) out.set(videoId, null); // 401 = embedding disabled, video exists
+      }
+      return out;
+    },
+  },
+};
+
+// -> { results, remaining (ids nobody resolved), errors, tried (providers consulted) }
+async function lookupMetadata(videoIds, { localOnly = false } = {}) {
+  const cfg = { ...(await getConfig()), ...(await getProviderConfig()) };
+  const results = new Map();
+  const errors = [];
+  let remaining = [...videoIds];
+  let tried = 0;
+  for (const { id, enabled } of cfg.order) {
+    if (!enabled || !remaining.length) continue;
+    const impl = providerImpls[id];
+    if (!(await impl.usable(cfg))) continue;
+    if (localOnly && !impl.local) break; // a higher-priority provider gets its turn from the queue
+    tried += 1;
+    try {
+      const found = await impl.fetch(remaining, cfg);
+      for (const [videoId, r] of found) results.set(videoId, r && { ...r, provider: id });
+    } catch (err) {
+      console.warn(`[YTL] Metadata provider ${id} failed:`, err);
+      errors.push(err);
+      if (err instanceof ApiError && err.status === 403 && /quota/i.test(err.reason || "")) await markQuotaExhausted();
+    }
+    remaining = remaining.filter(v => !results.has(v));
+  }
+  return { results, remaining, errors, tried };
+}
+
+// --------------------------- Enrichment queue ---------------------------
+// Persistent queue of videoIds whose entries still need metadata. Drained on
+// an alarm in batches of up to 50 ids, so a Shorts binge costs a handful of
+// API units instead of three per video, and nothing is lost while offline.
+// Each batch goes through lookupMetadata, so every enabled provider gets a turn.
+const ENRICH_ALARM = "ytl-enrich";
+const ENRICH_MAX_BACKOFF_MIN = 6 * 60;
+const ENRICH_QUOTA_PER_BATCH = 3; // videos + channels + (uncached) categories
+
+function getEnrichQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ enrichQueue: [] }, ({ enrichQueue }) => resolve(Array.isArray(enrichQueue) ? enrichQueue : []));
+  });
+}
+
+function setEnrichQueue(enrichQueue) {
+  return new Promise((resolve) => chrome.storage.local.set({ enrichQueue }, resolve));
+}
+
+// Serializes queue read-modify-writes between logging and draining
+let queueChain = Promise.resolve();
+function withQueueLock(fn) {
+  const run = queueChain.then(fn, fn);
+  queueChain = run.catch(() => {});
+  return run;
+}
+
+function enqueueEnrichment(videoIds) {
+  return withQueueLock(async () => {
+    const queue = await getEnrichQueue();
+    const known = new Set(queue.map(q => q.videoId));
+    for (const videoId of videoIds) {
+      if (!videoId || known.has(videoId)) continue;
+      known.add(videoId);
+      queue.push({ videoId, addedAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+    }
+    await setEnrichQueue(queue);
+    return queue.length;
+  });
+}
+
+async function applyEnrichment(results) {
+  // results: Map videoId -> { meta, categoryName, channelExtra, provider } | null (unavailable)
+  await dbReady;
+  const enrichedAt = new Date().toISOString();
+  const since = new Map(); // profile -> oldest entry changed, for session regrouping
+  const ids = [];
+  const rules = await getFlagRules();
+  const flagged = []; // [entry, new flags]
+  const changed = await dbUpdateByIndex("videoId", [...results.keys()], sealed("enrichment", (e) => {
+    if (e.enrichment !== "pending") return false;
+    ids.push(e.id);
+    if (!since.has(e.profile) || e.watchedAt < since.get(e.profile)) since.set(e.profile, e.watchedAt);
+    const r = results.get(e.videoId);
+    if (!r) {
+      e.enrichment = "unavailable";
+    } else {
+      Object.assign(e, entryMetaFields(r.meta, e.url, r.categoryName));
+      if (r.channelExtra) e.channelExtra = r.channelExtra;
+      e.metaProvider = r.provider || null;
+      // completion depends on the real duration, now known
+      if (e.durationSeconds && e.watchedSeconds != null) {
+        e.completionPct = Math.min(100, Math.round((e.watchedSeconds / e.durationSeconds) * 100));
+      }
+      e.enrichment = "done";
+      e.refreshedAt = enrichedAt;
+    }
+    e.enrichedAt = enrichedAt;
+    const added = applyFlags(rules, e);
+    if (added?.length) flagged.push([e, added]);
+    return true;
+  }));
+  if (changed) await touchLog();
+  for (const [e, added] of flagged) notifyFlags(e, added, rules).catch((err) => console.error("[YTL] Flag notification failed:", err));
+  for (const [profile, watchedAt] of since) scheduleSessionRebuild(profile, watchedAt);
+  queueWebhook("entry.updated", ids).catch(webhookQueueFailed);
+  return changed;
+}
+
+async function fetchEnrichment(videoIds, apiKey) {
+  const metas = await fetchVideosMetadataBatch(videoIds, apiKey);
+  const found = [...metas.values()];
+  const categoryName = await getCategoryNames(found.map(m => m.categoryId), apiKey, "US");
+  const channels = await cachedChannels(found.map(m => m.channelId), apiKey);
+
+  const results = new Map();
+  for (const videoId of videoIds) {
+    const meta = metas.get(videoId);
+    results.set(videoId, meta ? {
+      meta,
+      categoryName: categoryName(meta.categoryId),
+      channelExtra: channels.get(meta.channelId) || null,
+    } : null);
+  }
+  return results;
+}
+
+let draining = false;
+async function drainEnrichQueue() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (true) {
+      const now = Date.now();
+      const batch = (await getEnrichQueue())
+        .filter(q => q.nextAttemptAt <= now)
+        .slice(0, API_BATCH_SIZE)
+        .map(q => q.videoId);
+      if (!batch.length) return;
+
+      const { results, remaining, errors, tried } = await lookupMetadata(batch);
+      if (!tried) return; // no provider usable (no key, quota spent): stays queued as is
+      if (results.size) await applyEnrichment(results);
+
+      // Resolved ids leave the queue; the rest back off 1, 2, 4 ... minutes, capped
+      await withQueueLock(async () => {
+        const failed = new Set(remaining);
+        const lastError = errors.length ? String(errors[errors.length - 1]?.message || errors[errors.length - 1]) : "No provider had metadata";
+        const queue = (await getEnrichQueue()).filter(q => !results.has(q.videoId));
+        for (const q of queue) {
+          if (!failed.has(q.videoId)) continue;
+          q.attempts += 1;
+          q.nextAttemptAt = Date.now() + Math.min(2 ** (q.attempts - 1), ENRICH_MAX_BACKOFF_MIN) * 60000;
+          q.lastError = lastError;
+        }
+        await setEnrichQueue(queue);
+      });
+      if (!results.size) return;
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function ensureEnrichAlarm() {
+  chrome.alarms.get(ENRICH_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(ENRICH_ALARM, { periodInMinutes: 1 });
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ENRICH_ALARM) drainEnrichQueue();
+});
+
+ensureEnrichAlarm();
+
+// A new provider order or endpoint may resolve entries that were backing off; retry them now
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync" || !(changes.metaProviders || changes.instanceEndpoint)) return;
+  withQueueLock(async () => {
+    await setEnrichQueue((await getEnrichQueue()).map(q => ({ ...q, nextAttemptAt: 0 })));
+  }).then(drainEnrichQueue);
+});
+
+// --------------------------- Channel cache ---------------------------
+// channels.list results kept in IndexedDB for CHANNEL_TTL_DAYS, so a binge on
+// one channel costs one lookup instead of one per batch.
+const CHANNEL_TTL_DAYS = 7;
+
+async function cachedChannels(channelIds, apiKey) {
+  const ids = [...new Set(channelIds.filter(Boolean))];
+  const cutoff = Date.now() - CHANNEL_TTL_DAYS * 86400000;
+  const cached = await dbGetChannels(ids);
+  const out = new Map();
+  for (const [id, row] of cached) {
+    if (row.fetchedAt > cutoff) {
+      const { fetchedAt, ...extra } = row;
+      out.set(id, extra);
+    }
+  }
+  const missing = ids.filter(id => !out.has(id));
+  if (missing.length) {
+    const fetched = await fetchChannelsBatch(missing, apiKey);
+    const fetchedAt = Date.now();
+    await dbPutChannels([...fetched.values()].map(c => ({ ...c, fetchedAt })));
+    for (const [id, c] of fetched) out.set(id, c);
+  }
+  return out;
+}
+
+// --------------------------- Metadata refresh ---------------------------
+// Entries keep the metadata captured when they were logged; a periodic job
+// re-queries videos not checked for `refreshDays` (stalest first, one batch per
+// run) and stores what it finds under `current`, next to the at-watch values.
+// It also sets availability (available | removed | private), ageRestricted and
+// regionBlocked, so the popup can flag videos that changed since.
+const REFRESH_ALARM = "ytl-refresh";
+const DEFAULT_REFRESH_DAYS = 30;
+const REFRESH_RETRY_DAYS = 1; // unresolved videos try again after this long
+const REFRESH_SCAN = 500; // entries read per run to collect one batch of distinct videos
+
+function getRefreshDays() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ refreshDays: DEFAULT_REFRESH_DAYS }, ({ refreshDays }) => resolve(Math.max(0, Number(refreshDays) || 0)));
+  });
+}
+
+// "en-GB" -> "GB"; region restrictions are judged against the browser's locale
+function viewerRegion() {
+  const m = String(navigator.language || "").match(/[-_]([A-Za-z]{2})\b/);
+  return m ? m[1].toUpperCase() : null;
+}
+
+function isRegionBlocked(restriction, region) {
+  if (!restriction || !region) return false;
+  if (Array.isArray(restriction.blocked) && restriction.blocked.includes(region)) return true;
+  return Array.isArray(restriction.allowed) && !restriction.allowed.includes(region);
+}
+
+// For videos no provider returns: oEmbed still answers 401/403 for private ones, 404 for removed ones
+async function probeAvailability(videoId) {
+  try {
+    const url = `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(`https://www.youtube.com/watch?v=${videoId}`)}`;
+    const res = await fetch(url, { credentials: "omit" });
+    if (res.status === 401 || res.status === 403) return "private";
+    if (res.status === 400 || res.status === 404) return "removed";
+    return res.ok ? "available" : null;
+  } catch {
+    return null;
+  }
+}
+
+// Fields a partial provider (oEmbed, page data) doesn't know keep their last known value
+function currentFrom(prev, r, provider, refreshedAt) {
+  const m = r.meta;
+  const pick = (k) => m[k] ?? prev?.[k] ?? null;
+  return {
+    title: pick("title"),
+    channelTitle: pick("channelTitle"),
+    viewCount: pick("viewCount"),
+    likeCount: pick("likeCount"),
+    commentCount: pick("commentCount"),
+    madeForKids: pick("madeForKids"),
+    contentRating: pick("contentRating"),
+    regionRestriction: pick("regionRestriction"),
+    provider,
+    refreshedAt,
+  };
+}
+
+let refreshing = false;
+async function refreshStaleEntries() {
+  if (refreshing) return 0;
+  refreshing = true;
+  try {
+    const days = await getRefreshDays();
+    if (!days) return 0;
+    await dbReady;
+    const now = Date.now();
+    const stale = await dbGetStaleEntries(new Date(now - days * 86400000).toISOString(), REFRESH_SCAN);
+    const videoIds = [...new Set(stale.filter(e => e.enrichment === "done").map(e => e.videoId))].slice(0, API_BATCH_SIZE);
+    if (!videoIds.length) return 0;
+
+    const { results, tried } = await lookupMetadata(videoIds);
+    if (!tried) return 0;
+
+    // Gone videos: tell removed from private
+    const availability = new Map();
+    for (const videoId of videoIds) {
+      if (results.get(videoId)) availability.set(videoId, "available");
+      else if (results.has(videoId)) availability.set(videoId, (await probeAvailability(videoId)) || "removed");
+    }
+
+    const refreshedAt = new Date(now).toISOString();
+    const retryAt = new Date(now - (days - REFRESH_RETRY_DAYS) * 86400000).toISOString();
+    const region = viewerRegion();
+    const rules = await getFlagRules();
+    const ids = [];
+    await dbUpdateByIndex("videoId", videoIds, (e) => {
+      const r = results.get(e.videoId);
+      const state = availability.get(e.videoId);
+      if (!state) {
+        e.refreshedAt = retryAt; // nobody answered; try again tomorrow
+        return true;
+      }
+      if (r) {
+        e.current = currentFrom(e.current, r, r.provider, refreshedAt);
+        e.ageRestricted = e.current.contentRating?.ytRating === "ytAgeRestricted";
+        e.regionBlocked = isRegionBlocked(e.current.regionRestriction, region);
+      }
+      e.availability = state === "available" && !r ? e.availability || "available" : state;
+      e.refreshedAt = refreshedAt;
+      applyFlags(rules, e); // an age restriction added since can raise a flag; no alert for old watches
+      ids.push(e.id);
+      return true;
+    });
+    if (ids.length) {
+      await touchLog();
+      queueWebhook("entry.updated", ids).catch(webhookQueueFailed);
+    }
+    return availability.size;
+  } finally {
+    refreshing = false;
+  }
+}
+
+function ensureRefreshAlarm() {
+  chrome.alarms.get(REFRESH_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(REFRESH_ALARM, { delayInMinutes: 5, periodInMinutes: 30 });
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFRESH_ALARM) refreshStaleEntries().catch((err) => console.error("[YTL] Metadata refresh failed:", err));
+});
+
+ensureRefreshAlarm();
+
+// --------------------------- Webhook ---------------------------
+// Optional HTTP endpoint (Options → Webhook) that receives entries as JSON. Events
+// go through a persistent outbox in chrome.storage.local ("webhookOutbox") that
+// holds entry ids, not payloads: entries are read when sent, so a delivery always
+// carries the latest metadata and watch time. Items go out in order; when the
+// endpoint fails, the head item backs off and everything behind it waits.
+const WEBHOOK_ALARM = "ytl-webhook";
+const WEBHOOK_BATCH = 100;
+const WEBHOOK_OUTBOX_MAX = 2000;
+const WEBHOOK_MAX_BACKOFF_MIN = 6 * 60;
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+// The secret stays in chrome.storage.local so it isn't synced to other browsers
+function getWebhookConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ webhookEnabled: false, webhookUrl: "" }, (sync) => {
+      chrome.storage.local.get({ webhookSecret: "" }, ({ webhookSecret }) => resolve({ ...sync, webhookSecret }));
+    });
+  });
+}
+
+function getOutbox() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ webhookOutbox: [] }, ({ webhookOutbox }) => resolve(Array.isArray(webhookOutbox) ? webhookOutbox : []));
+  });
+}
+
+function setOutbox(webhookOutbox) {
+  return new Promise((resolve) => chrome.storage.local.set({ webhookOutbox }, resolve));
+}
+
+function setWebhookStatus(patch) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ webhookStatus: {} }, ({ webhookStatus }) => {
+      chrome.storage.local.set({ webhookStatus: { ...webhookStatus, ...patch } }, resolve);
+    });
+  });
+}
+
+let outboxChain = Promise.resolve();
+function withOutboxLock(fn) {
+  const run = outboxChain.then(fn, fn);
+  outboxChain = run.catch(() => {});
+  return run;
+}
+
+// event: entry.logged | entry.updated | entries.resync
+// Logging, enrichment and edits queue deliveries without waiting; a failure is logged, not thrown at them
+function webhookQueueFailed(err) {
+  console.error("[YTL] Couldn't queue a webhook delivery:", err);
+}
+
+async function queueWebhook(event, entryIds) {
+  const { webhookEnabled, webhookUrl } = await getWebhookConfig();
+  const ids = entryIds.filter(id => id != null);
+  if (!webhookEnabled || !webhookUrl || !ids.length) return;
+  await withOutboxLock(async () => {
+    const outbox = await getOutbox();
+    // An update for an entry that is still waiting to go out is already covered; the item being
+    // sent right now may have read the entry before this change, so it doesn't count
+    const waiting = event === "entry.updated"
+      ? new Set(outbox.filter(item => item.id !== sendingOutboxId).flatMap(item => item.entryIds))
+      : new Set();
+    const fresh = ids.filter(id => !waiting.has(id));
+    for (let i = 0; i < fresh.length; i += WEBHOOK_BATCH) {
+      outbox.push({ id: crypto.randomUUID(), event, entryIds: fresh.slice(i, i + WEBHOOK_BATCH), createdAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+    }
+    if (outbox.length > WEBHOOK_OUTBOX_MAX) {
+      await setWebhookStatus({ dropped: outbox.length - WEBHOOK_OUTBOX_MAX, droppedAt: new Date().toISOString() });
+    }
+    await setOutbox(outbox.slice(-WEBHOOK_OUTBOX_MAX));
+  });
+  drainOutbox();
+}
+
+// A deleted entry can't be read back at send time, so its identifying fields travel in the outbox item
+async function queueWebhookDeletion(entry) {
+  const { webhookEnabled, webhookUrl } = await getWebhookConfig();
+  if (!webhookEnabled || !webhookUrl) return;
+  const stub = { id: entry.id, ...pickExportFields(entry, EXPORT_REQUIRED_FIELDS), deleted: true };
+  await withOutboxLock(async () => {
+    const outbox = await getOutbox();
+    outbox.push({ id: crypto.randomUUID(), event: "entry.deleted", entryIds: [], deleted: [stub], createdAt: Date.now(), attempts: 0, nextAttemptAt: 0 });
+    await setOutbox(outbox.slice(-WEBHOOK_OUTBOX_MAX));
+  });
+  drainOutbox();
+}
+
+async function hmacSha256Hex(secret, text) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(text));
+  return [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Entries in the export schema (export.js), plus the log's own id so receivers can upsert
+function webhookEntry(e) {
+  return { id: e.id, ...pickExportFields(e, EXPORT_FIELDS.map(f => f.key)) };
+}
+
+// Signature: hex HMAC-SHA256 of "<timestamp>.<body>" with the shared secret
+async function postWebhook(cfg, { event, entries, deliveryId }) {
+  const sentAt = new Date().toISOString();
+  const body = JSON.stringify({ type: "ytl-webhook", schemaVersion: EXPORT_SCHEMA_VERSION, event, deliveryId, sentAt, entries });
+  const headers = { "Content-Type": "application/json", "X-YTL-Event": event, "X-YTL-Delivery": deliveryId };
+  if (cfg.webhookSecret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers["X-YTL-Timestamp"] = timestamp;
+    headers["X-YTL-Signature"] = `sha256=${await hmacSha256Hex(cfg.webhookSecret, `${timestamp}.${body}`)}`;
+  }
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const res = await fetch(cfg.webhookUrl, { method: "POST", headers, body, credentials: "omit", signal: ctrl.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  } catch (err) {
+    throw new Error(err.name === "AbortError" ? "Timed out" : String(err.message || err));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let drainingOutbox = false;
+let sendingOutboxId = null; // the head item while drainOutbox is posting it
+async function drainOutbox() {
+  if (drainingOutbox) return;
+  drainingOutbox = true;
+  try {
+    const cfg = await getWebhookConfig();
+    if (!cfg.webhookEnabled || !cfg.webhookUrl) return;
+    await dbReady;
+    while (true) {
+      const [item] = await getOutbox();
+      if (!item || item.nextAttemptAt > Date.now()) return;
+      sendingOutboxId = item.id;
+      const entries = item.deleted || (await Promise.all(item.entryIds.map(id => dbGetEntry(id)))).filter(Boolean).map(webhookEntry);
+      try {
+        if (entries.length) await postWebhook(cfg, { event: item.event, entries, deliveryId: item.id });
+      } catch (err) {
+        await withOutboxLock(async () => {
+          const outbox = await getOutbox();
+          const head = outbox.find(x => x.id === item.id);
+          if (!head) return;
+          head.attempts += 1;
+          head.nextAttemptAt = Date.now() + Math.min(2 ** (head.attempts - 1), WEBHOOK_MAX_BACKOFF_MIN) * 60000;
+          head.lastError = err.message;
+          await setOutbox(outbox);
+        });
+        await setWebhookStatus({ lastError: err.message, lastErrorAt: new Date().toISOString() });
+        return;
+      }
+      await withOutboxLock(async () => setOutbox((await getOutbox()).filter(x => x.id !== item.id)));
+      if (entries.length) await setWebhookStatus({ lastSuccessAt: new Date().toISOString(), lastError: null });
+    }
+  } catch (err) {
+    console.error("[YTL] Webhook outbox failed:", err); // storage or entry reads; the alarm tries again
+  } finally {
+    drainingOutbox = false;
+    sendingOutboxId = null;
+  }
+}
+
+// Whole history, oldest first, in batches
+async function resyncWebhook() {
+  const { webhookEnabled, webhookUrl } = await getWebhookConfig();
+  if (!webhookEnabled || !webhookUrl) throw new Error("Turn the webhook on and save an endpoint first.");
+  await dbReady;
+  const ids = (await dbGetAllEntries()).reverse().map(e => e.id);
+  await queueWebhook("entries.resync", ids);
+  return ids.length;
+}
+
+async function testWebhook() {
+  const cfg = await getWebhookConfig();
+  if (!cfg.webhookUrl) throw new Error("No endpoint configured.");
+  await postWebhook(cfg, { event: "test", entries: [], deliveryId: crypto.randomUUID() });
+}
+
+function ensureWebhookAlarm() {
+  chrome.alarms.get(WEBHOOK_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(WEBHOOK_ALARM, { periodInMinutes: 1 });
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WEBHOOK_ALARM) drainOutbox();
+});
+
+ensureWebhookAlarm();
+
+// A changed endpoint or secret may work where the old one failed; retry now
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (!(changes.webhookUrl || changes.webhookEnabled || changes.webhookSecret)) return;
+  if (area !== "sync" && area !== "local") return;
+  withOutboxLock(async () => {
+    await setOutbox((await getOutbox()).map(item => ({ ...item, nextAttemptAt: 0 })));
+  }).then(drainOutbox);
+});
+
+// --------------------------- File downloads ---------------------------
+// Service workers have no URL.createObjectURL and data: URLs fail past a few MB, so
+// files are handed to an offscreen document (offscreen.js) that returns a Blob URL.
+let offscreenCreating = null;
+async function ensureOffscreen() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] });
+  if (contexts.length) return;
+  // only one document may exist; concurrent callers share the creation
+  offscreenCreating ||= chrome.offscreen.createDocument({
+    url: "offscreen.html",
+    reasons: ["BLOBS"],
+    justification: "Build backup and report files as Blob URLs for chrome.downloads",
+  }).finally(() => { offscreenCreating = null; });
+  await offscreenCreating;
+}
+
+// Resolves once the download completes; rejects if it is interrupted
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    const finish = (err) => {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      if (err) reject(err); else resolve(downloadId);
+    };
+    const check = (state, error) => {
+      if (state === "complete") finish();
+      else if (state === "interrupted") finish(new Error(`Download failed: ${error || "interrupted"}`));
+    };
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state) check(delta.state.current, delta.error?.current);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    // it may have finished before the listener was added
+    chrome.downloads.search({ id: downloadId }, ([item] = []) => item && check(item.state, item.error));
+  });
+}
+
+// Saves `text` as `filename` under Downloads -> downloadId; rejects if the file wasn't written
+async function downloadText(text, mime, filename, conflictAction) {
+  await ensureOffscreen();
+  const blob = await chrome.runtime.sendMessage({ target: "offscreen", type: "YTL_OBJECT_URL", text, mime });
+  if (!blob?.ok) throw new Error(blob?.error || "Couldn't prepare the file.");
+  try {
+    const downloadId = await new Promise((resolve, reject) => {
+      chrome.downloads.download({ url: blob.url, filename, conflictAction, saveAs: false }, (id) => {
+        if (chrome.runtime.lastError || id == null) reject(new Error(chrome.runtime.lastError?.message || "The download didn't start."));
+        else resolve(id);
+      });
+    });
+    return await waitForDownload(downloadId);
+  } finally {
+    chrome.runtime.sendMessage({ target: "offscreen", type: "YTL_REVOKE_URL", url: blob.url }).catch(() => {});
+  }
+}
+
+// --------------------------- Backups ---------------------------
+// Full-log JSON files written to Downloads/YouTubeWatchLogger/ on a schedule,
+// before Clear All and before a restore. Only the newest `backupKeep` files of
+// each kind are kept; older ones are deleted through chrome.downloads.
+const BACKUP_ALARM = "ytl-backup";
+const BACKUP_DIR = "YouTubeWatchLogger";
+const BACKUP_PERIOD_MIN = { daily: 24 * 60, weekly: 7 * 24 * 60 };
+
+function getBackupConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ backupSchedule: "off", backupKeep: 7 }, (cfg) => resolve(cfg));
+  });
+}
+
+function getBackupIndex() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ backups: [] }, ({ backups }) => resolve(Array.isArray(backups) ? backups : []));
+  });
+}
+
+function setBackupIndex(backups) {
+  return new Promise((resolve) => chrome.storage.local.set({ backups }, resolve));
+}
+
+async function buildBackup(kind) {
+  await dbReady;
+  const entries = await dbGetAllEntries();
+  const { playlistLinks } = await new Promise((resolve) => chrome.storage.local.get({ playlistLinks: [] }, resolve));
+  return {
+    type: "ytl-backup",
+    schemaVersion: 2,
+    kind,
+    generatedAt: new Date().toISOString(),
+    entryCount: entries.length,
+    entries: entries.reverse(), // oldest first
+    playlistLinks: Array.isArray(playlistLinks) ? playlistLinks : [],
+  };
+}
+
+// kind: scheduled | manual | pre-clear | pre-restore
+async function writeBackup(kind) {
+  const payload = await buildBackup(kind);
+  const stamp = new Date().toISOString().replace(/[-:T.Z]/g, "").slice(0, 14);
+  const filename = `${BACKUP_DIR}/ytl-backup-${kind}-${stamp}.json`;
+  const downloadId = await downloadText(JSON.stringify(payload), "application/json", filename, "uniquify");
+  const index = await getBackupIndex();
+  index.push({ downloadId, filename, kind, createdAt: payload.generatedAt, entryCount: payload.entryCount });
+  await setBackupIndex(await rotateBackups(index, kind));
+  return { filename, entryCount: payload.entryCount };
+}
+
+async function rotateBackups(index, kind) {
+  const { backupKeep } = await getBackupConfig();
+  const keep = Math.max(1, Number(backupKeep) || 1);
+  const ofKind = index.filter(b => b.kind === kind);
+  const drop = new Set(ofKind.slice(0, Math.max(0, ofKind.length - keep)));
+  for (const b of drop) {
+    try {
+      await chrome.downloads.removeFile(b.downloadId);
+    } catch {} // already moved or deleted by the user
+    try {
+      await chrome.downloads.erase({ id: b.downloadId });
+    } catch {}
+  }
+  return index.filter(b => !drop.has(b));
+}
+
+async function restoreBackup(payload) {
+  if (payload?.type !== "ytl-backup" || !Array.isArray(payload.entries)) {
+    throw new Error("Not a YouTube Watch Logger backup file.");
+  }
+  await writeBackup("pre-restore");
+  await clearEntriesAudited("restore");
+  // Restored rows are appended to the current chain like imports; their old ids and links don't carry over.
+  // Rows without a readable time and repeats of the same view are left out.
+  const seen = new Set();
+  const entries = [];
+  for (const row of payload.entries) {
+    const t = Date.parse(row?.watchedAt);
+    if (!row?.videoId || Number.isNaN(t)) continue;
+    const { id, chainSeq, chainPrev, chainHash, chainSeal, chainEdit, ...e } = row;
+    e.watchedAt = new Date(t).toISOString();
+    const key = [e.profile, e.videoId, e.watchedAt, e.viewId || ""].join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push(e);
+  }
+  // flags follow today's rules, not the ones in force when the backup was made
+  const rules = await getFlagRules();
+  for (const e of entries) applyFlags(rules, e);
+  await appendChained(entries, dbAddEntries);
+  await new Promise((resolve) => chrome.storage.local.set({ playlistLinks: payload.playlistLinks || [] }, resolve));
+  await enqueueEnrichment(entries.filter(e => e.id != null && e.enrichment === "pending").map(e => e.videoId));
+  await touchLog();
+  rebuildAllSessions();
+  return entries.length;
+}
+
+async function ensureBackupAlarm() {
+  const { backupSchedule } = await getBackupConfig();
+  const period = BACKUP_PERIOD_MIN[backupSchedule];
+  const alarm = await chrome.alarms.get(BACKUP_ALARM);
+  if (!period) {
+    if (alarm) await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+  if (!alarm || alarm.periodInMinutes !== period) {
+    await chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: period, periodInMinutes: period });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKUP_ALARM) {
+    writeBackup("scheduled").catch((err) => console.error("[YTL] Scheduled backup failed:", err));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.backupSchedule) ensureBackupAlarm();
+});
+
+ensureBackupAlarm();
+
+// --------------------------- Weekly reports ---------------------------
+// With reportSchedule "weekly", every Monday morning one printable HTML report per
+// profile (report.js) covering the previous seven days is saved next to the backups.
+const REPORT_ALARM = "ytl-report";
+const REPORT_DIR = `${BACKUP_DIR}/reports`;
+const REPORT_INDEX_MAX = 100;
+const REPORT_HOUR = 8;
+
+// Next Monday at REPORT_HOUR local time (today, if it's Monday before then)
+function nextReportTime(now = new Date()) {
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + ((8 - now.getDay()) % 7), REPORT_HOUR);
+  if (d <= now) d.setDate(d.getDate() + 7);
+  return d.getTime();
+}
+
+// "Mia & Leo" -> "Mia-Leo"
+function fileSafe(name) {
+  return String(name || "all").replace(/[^\p{L}\p{N}_-]+/gu, "-").replace(/^-+|-+$/g, "") || "profile";
+}
+
+async function writeReport(profile, from, to) {
+  const { report, html } = await buildReportHtml({ profile, from, to });
+  const filename = `${REPORT_DIR}/ytl-report-${fileSafe(profile)}-${report.from}_${report.to}.html`;
+  await downloadText(html, "text/html", filename, "overwrite");
+  const { reports } = await new Promise((resolve) => chrome.storage.local.get({ reports: [] }, resolve));
+  reports.push({ filename, profile, from: report.from, to: report.to, createdAt: report.generatedAt, count: report.totals.count, flagged: report.flaggedCount });
+  await new Promise((resolve) => chrome.storage.local.set({ reports: reports.slice(-REPORT_INDEX_MAX) }, resolve));
+  return filename;
+}
+
+// One report per profile that watched anything in the seven days before today
+async function writeWeeklyReports(now = new Date()) {
+  await dbReady;
+  const to = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - 6);
+  const after = from.toISOString();
+  const before = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+  const written = [];
+  for (const profile of await dbListProfiles()) {
+    const { rows } = await dbScanEntries({ profile, after, before, limit: 1 });
+    if (rows.length) written.push(await writeReport(profile, from, to));
+  }
+  return written;
+}
+
+async function ensureReportAlarm() {
+  const { reportSchedule } = await new Promise((resolve) => chrome.storage.sync.get({ reportSchedule: "off" }, resolve));
+  const alarm = await chrome.alarms.get(REPORT_ALARM);
+  if (reportSchedule !== "weekly") {
+    if (alarm) await chrome.alarms.clear(REPORT_ALARM);
+    return;
+  }
+  if (!alarm) await chrome.alarms.create(REPORT_ALARM, { when: nextReportTime(), periodInMinutes: 7 * 24 * 60 });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REPORT_ALARM) {
+    writeWeeklyReports().catch((err) => console.error("[YTL] Weekly report failed:", err));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.reportSchedule) ensureReportAlarm();
+});
+
+ensureReportAlarm();
+
+// --------------------------- Message handling ---------------------------
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type === "YTL_VIDEO") {
+    // { videoId, url, viewId, context, pageData } -> { ok, block }
+    (msg.pageData ? rememberPageData(msg.videoId, msg.pageData) : Promise.resolve())
+      .then(() => handleVideo({ videoId: msg.videoId, url: msg.url, viewId: msg.viewId, context: msg.context }))
+      .then((block) => sendResponse({ ok: true, block }), (err) => {
+        console.error("[YTL] Failed to handle video:", err);
+        sendResponse({ ok: false });
+      });
+    return true; // keep port open for async
+  }
+  if (msg?.type === "YTL_PROGRESS") {
+    // { viewId, videoId, stats, final } -> { ok, block }
+    if (!msg.viewId || !msg.stats) return false;
+    updateWatchStats(msg.viewId, msg.stats, { final: !!msg.final })
+      .then(() => (msg.final ? null : checkLimitsForView(msg.viewId)))
+      .then((block) => sendResponse({ ok: true, block }), () => sendResponse({ ok: false }));
+    return true;
+  }
+  if (msg?.type === "YTL_SET_CONFIG") {
+    // { apiKey, profile }
+    requireUnlocked()
+      .then(() => new Promise((resolve) => chrome.storage.sync.set({ apiKey: msg.apiKey || "", profile: msg.profile || "Child" }, resolve)))
+      .then(() => {
+        drainEnrichQueue(); // a new key may unblock queued entries
+        sendResponse({ ok: true });
+      }, (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SAVE_SETTINGS") {
+    // { sync: { key: value }, local: { key: value } } — see SETTINGS_SYNC_KEYS / SETTINGS_LOCAL_KEYS
+    requireUnlocked()
+      .then(() => saveSettings({ sync: msg.sync || {}, local: msg.local || {} }))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SAVE_CONTROLS") {
+    // { profile, controls }
+    requireUnlocked()
+      .then(() => {
+        if (!msg.profile) throw new Error("No profile given.");
+        return saveControls(msg.profile, msg.controls);
+      })
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SAVE_FLAG_RULES") {
+    // { rules }
+    requireUnlocked()
+      .then(() => saveFlagRules(Array.isArray(msg.rules) ? msg.rules : []))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SAVE_PROVIDERS") {
+    // { order, instanceEndpoint }
+    requireUnlocked()
+      .then(() => saveProviderConfig({ order: msg.order, instanceEndpoint: msg.instanceEndpoint }))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SAVE_PROFILES") {
+    // { profiles, active } — the managed list (colors, avatars, added or removed names)
+    requireUnlocked()
+      .then(() => saveProfiles(Array.isArray(msg.profiles) ? msg.profiles : [], msg.active || null))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_SET_ACTIVE_PROFILE") {
+    // { profile } — which profile new watches are logged as
+    requireUnlocked()
+      .then(() => new Promise((resolve) => chrome.storage.sync.set({ profile: msg.profile || "Child" }, resolve)))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_RENAME_PROFILE") {
+    // { from, to }
+    requireUnlocked()
+      .then(() => renameProfile(msg.from, msg.to))
+      .then((changed) => sendResponse({ ok: true, changed }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_MERGE_PROFILES") {
+    // { from: [names], into }
+    requireUnlocked()
+      .then(() => mergeProfiles(msg.from || [], msg.into))
+      .then((changed) => sendResponse({ ok: true, changed }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_ANNOTATE_ENTRY") {
+    // { id, patch: { note?, rating?, favorite?, labels? } } -> { ok, entry }
+    annotateEntry(msg.id, msg.patch)
+      .then((entry) => sendResponse({ ok: true, entry }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_REASSIGN_ENTRY") {
+    // { id, profile } -> { ok, changed }
+    requireUnlocked()
+      .then(() => reassignEntry(msg.id, msg.profile))
+      .then((changed) => sendResponse({ ok: true, changed }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_DELETE_ENTRY") {
+    // { id } -> { ok, deleted }
+    requireUnlocked()
+      .then(() => deleteEntry(msg.id))
+      .then((deleted) => sendResponse({ ok: true, deleted }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_IMPORT_ENTRIES") {
+    // { records } -> { ok, added }
+    requireUnlocked()
+      .then(() => importEntries(msg.records || []))
+      .then((added) => sendResponse({ ok: true, added }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_CLEAR_LOG") {
+    // Snapshot first; if that fails nothing is cleared
+    requireUnlocked()
+      .then(() => dbReady)
+      .then(() => writeBackup("pre-clear"))
+      .then(() => clearEntriesAudited("clear"))
+      .then(() => new Promise((resolve) => chrome.storage.local.set({ playlistLinks: [] }, resolve)))
+      .then(touchLog)
+      .then(rebuildAllSessions)
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_BACKUP_NOW") {
+    writeBackup("manual")
+      .then((res) => sendResponse({ ok: true, ...res }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_WEEKLY_REPORT_NOW") {
+    // -> { ok, written: [filename] }
+    writeWeeklyReports()
+      .then((written) => sendResponse({ ok: true, written }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_RESTORE_BACKUP") {
+    // { payload } -> { ok, restored }
+    requireUnlocked()
+      .then(() => dbReady)
+      .then(() => restoreBackup(msg.payload))
+      .then((restored) => sendResponse({ ok: true, restored }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_APPLY_RETENTION") {
+    // -> { ok, removed }
+    requireUnlocked()
+      .then(applyRetention)
+      .then((removed) => sendResponse({ ok: true, removed }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_LOCK_STATUS") {
+    // -> { ok, enabled, unlocked }
+    lockStatus().then((status) => sendResponse({ ok: true, ...status }));
+    return true;
+  }
+  if (msg?.type === "YTL_UNLOCK") {
+    // { pin }
+    unlock(msg.pin)
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_LOCK") {
+    relock().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg?.type === "YTL_SET_PIN") {
+    // { current, pin } — empty pin removes the lock
+    setPin(msg.current, msg.pin)
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+  if (msg?.type === "YTL_VERIFY_LOG") {
+    // { force? } -> { ok, result }
+    verifyLogCached({ force: !!msg.force })
+      .then((result) => sendResponse({ ok: true, result }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_WEBHOOK_TEST") {
+    testWebhook()
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_WEBHOOK_RESYNC") {
+    // -> { ok, queued }
+    requireUnlocked()
+      .then(resyncWebhook)
+      .then((queued) => sendResponse({ ok: true, queued }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_WEBHOOK_CLEAR_OUTBOX") {
+    requireUnlocked()
+      .then(() => withOutboxLock(() => setOutbox([])))
+      .then(() => sendResponse({ ok: true }), (err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (msg?.type === "YTL_ENRICH_STATUS") {
+    Promise.all([getEnrichQueue(), getQuota(), getConfig()]).then(([queue, quota, { quotaDailyLimit }]) => {
+      sendResponse({ ok: true, queued: queue.length, quota, quotaDailyLimit });
+    });
     return true;
   }
 });
@@ -1,52 +1,437 @@
-// content.js — detects current video ID/URL changes and informs background
+// content.js — detects the current video (YouTube's navigation events + the player's video-change signal relayed by
+// pagedata.js), tracks playback, relays page metadata, informs background, enforces blocks.
+// Runs on www/m/music.youtube.com and in /embed/ players (youtube.com or youtube-nocookie.com, any embedding site).
 (function () {
-  if (location.hostname !== "www.youtube.com") return;
+  const HOSTS = ["www.youtube.com", "m.youtube.com", "music.youtube.com", "www.youtube-nocookie.com"];
+  if (!HOSTS.includes(location.hostname)) return;
+  const embedded = location.pathname.startsWith("/embed/");
+  // Inside frames only embedded players count (YouTube's own frames, e.g. live chat, don't)
+  if (window.top !== window && !embedded) return;
+  if (location.hostname === "www.youtube-nocookie.com" && !embedded) return;
 
-  function getCurrentVideo() {
-    const url = location.href;
-    let videoId = null;
+  const PROGRESS_INTERVAL_MS = 15000; // heartbeat while playing
+  const AUTOPLAY_WINDOW_MS = 8000;    // next video within this long after "ended" counts as autoplay
+  const CHECK_DELAY_MS = 300;         // coalesces the several events one navigation fires
+
+  const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+  // The id a URL shows, from /watch?v=, /shorts/, /live/ or /embed/
+  function videoIdFromUrl(url) {
+    try {
+      const u = new URL(url);
+      if (u.pathname === "/watch") return VIDEO_ID.test(u.searchParams.get("v") || "") ? u.searchParams.get("v") : null;
+      const m = u.pathname.match(/^\/(shorts|live|embed)\/([^/?#]+)/);
+      return m && m[2] !== "videoseries" && VIDEO_ID.test(m[2]) ? m[2] : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Where the video is being played; stored on the entry as `surface`
+  function surfaceOf(url) {
+    const u = new URL(url);
+    if (u.pathname.startsWith("/embed/")) return "embed";
+    if (u.hostname === "music.youtube.com") return "music";
+    if (u.hostname === "m.youtube.com") return "mobile";
+    if (u.pathname.startsWith("/shorts/")) return "shorts";
+    if (u.pathname.startsWith("/live/")) return "live";
+    return "watch";
+  }
+
+  // The last video the player reported (pagedata.js); it knows about changes the URL doesn't show
+  let playerVideoId = null;
+
+  function miniplayerActive() {
+    return !!document.querySelector("ytd-app[miniplayer-is-active], ytd-miniplayer[active]");
+  }
+
+  // { videoId, url, surface } of what is playing now; videoId null when nothing is.
+  // The URL wins, except in an embed, whose URL keeps the first video of a playlist;
+  // the miniplayer only shows up through the player. Embeds log the watch page URL.
+  function getCurrentVideo(url = location.href) {
+    const watchUrl = (id) => `https://www.youtube.com/watch?v=${id}`;
+    const live = url === location.href;
+    if (embedded && live && playerVideoId) return { videoId: playerVideoId, url: watchUrl(playerVideoId), surface: "embed" };
+    const fromUrl = videoIdFromUrl(url);
+    if (fromUrl) {
+      const surface = surfaceOf(url);
+      return { videoId: fromUrl, url: surface === "embed" ? watchUrl(fromUrl) : url, surface };
+    }
+    if (live && playerVideoId && miniplayerActive()) return { videoId: playerVideoId, url: watchUrl(playerVideoId), surface: "miniplayer" };
+    return { videoId: null, url, surface: null };
+  }
+
+  // ---------- Navigation source ----------
+  // The page we came from, tracked across SPA navigations. Before the first
+  // in-app navigation it's document.referrer (a full page load).
+  let currentHref = location.href;
+  let previousHref = document.referrer || null;
+
+  function trackLocation() {
+    if (location.href === currentHref) return;
+    // URL tweaks on the same video (YouTube adds/strips params) aren't a navigation
+    const { videoId } = getCurrentVideo();
+    if (!videoId || videoId !== getCurrentVideo(currentHref).videoId) previousHref = currentHref;
+    currentHref = location.href;
+  }
+
+  // "90", "90s", "1m30s", "1h2m3s" -> seconds
+  function parseStartOffset(t) {
+    if (!t) return null;
+    if (/^\d+s?$/.test(t)) return parseInt(t, 10);
+    const m = t.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!m || !m[0]) return null;
+    return (+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0);
+  }
+
+  function isYouTubeHost(host) {
+    return host === "youtube.com" || host.endsWith(".youtube.com") || host === "youtu.be" || host.endsWith("youtube-nocookie.com");
+  }
+
+  // How the current video was reached. `autoplayed` = the previous view ended just before.
+  // `url` is the page's own address (for an embed, the player's), which carries list/index/t.
+  function navigationContext(url, surface, autoplayed) {
+    const cur = new URL(url);
+    const ctx = {
+      navSource: "other",
+      searchQuery: null,
+      playlistId: cur.searchParams.get("list"),
+      playlistIndex: cur.searchParams.has("index") ? Number(cur.searchParams.get("index")) || null : null,
+      sourceChannel: null,
+      referrer: previousHref,
+      startOffsetSeconds: parseStartOffset(cur.searchParams.get("t") || cur.searchParams.get("start")),
+      surface,
+    };
+
+    let prev = null;
+    try { prev = previousHref ? new URL(previousHref) : null; } catch {}
+    const path = prev?.pathname || "";
+
+    if (surface === "miniplayer") {
+      // the page around the miniplayer says nothing about how this video came up
+      ctx.playlistId = ctx.playlistIndex = null;
+      ctx.navSource = autoplayed ? "autoplay" : "other";
+    } else if (!prev) ctx.navSource = "direct";
+    else if (!isYouTubeHost(prev.hostname)) ctx.navSource = "external";
+    else if (ctx.playlistId) ctx.navSource = "playlist";
+    else if (autoplayed) ctx.navSource = "autoplay";
+    else if (cur.pathname.startsWith("/shorts/") && path.startsWith("/shorts/")) ctx.navSource = "shorts_swipe";
+    else if (path === "/results" || path === "/search") {
+      ctx.navSource = "search";
+      ctx.searchQuery = prev.searchParams.get("search_query") || prev.searchParams.get("q");
+    } else if (path === "/") ctx.navSource = "home";
+    else if (path === "/feed/subscriptions") ctx.navSource = "subscriptions";
+    else if (path.startsWith("/feed/")) ctx.navSource = "feed";
+    else if (/^\/(@|channel\/|c\/|user\/)/.test(path)) {
+      ctx.navSource = "channel";
+      const seg = path.split("/").filter(Boolean); // ["@handle", ...] or ["channel", "UC…", ...]
+      ctx.sourceChannel = decodeURIComponent(seg[0].startsWith("@") ? seg[0] : seg[1] || "") || null;
+    } else if (path === "/watch" || path.startsWith("/shorts/")) ctx.navSource = "related";
+    return ctx;
+  }
+
+  // ---------- Page data ----------
+  // pagedata.js (page world) reads the player response for us. It can lag the
+  // URL by a moment after an SPA navigation, so ask a few times.
+  const PAGE_DATA_ATTEMPTS = 6;
+  const PAGE_DATA_RETRY_MS = 500;
+
+  function askPageData(videoId) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => done(null), PAGE_DATA_RETRY_MS);
+      function done(page) {
+        clearTimeout(timer);
+        window.removeEventListener("message", onMessage);
+        resolve(page);
+      }
+      function onMessage(e) {
+        if (e.source === window && e.data?.source === "ytl-page" && e.data.type === "YTL_PAGE_DATA" && e.data.videoId === videoId) done(e.data.page);
+      }
+      window.addEventListener("message", onMessage);
+      window.postMessage({ source: "ytl", type: "YTL_PAGE_DATA_REQUEST", videoId }, location.origin);
+    });
+  }
+
+  async function requestPageData(videoId) {
+    for (let i = 0; i < PAGE_DATA_ATTEMPTS; i++) {
+      const page = await askPageData(videoId);
+      if (page) return page;
+      await new Promise((r) => setTimeout(r, PAGE_DATA_RETRY_MS));
+    }
+    return null;
+  }
+
+  // ---------- Playback tracking ----------
+  // One "view" per detected video. Stats are cumulative, so every report
+  // replaces the previous one and a lost message costs nothing.
+  let view = null;
+  let embedPlayed = false; // an embed on someone's page only counts once it's played
+
+  function newView(videoId) {
+    return {
+      viewId: crypto.randomUUID(),
+      videoId,
+      watchedSeconds: 0,
+      maxPositionSeconds: 0,
+      mediaDurationSeconds: null,
+      playbackRate: 1,
+      pauseCount: 0,
+      seekCount: 0,
+      bufferingCount: 0,
+      bufferingSeconds: 0,
+      ended: false,
+      endedAt: null,
+      autoplayedNext: false,
+      pageTitle: null,
+      // transient
+      lastTime: null,
+      bufferingSince: null,
+      lastReportAt: 0,
+    };
+  }
+
+  function isAdShowing() {
+    return !!document.querySelector("#movie_player.ad-showing, .html5-video-player.ad-showing");
+  }
+
+  // Shorts keep several <video> elements around; prefer the one that is playing.
+  function findVideoElement() {
+    const vids = [...document.querySelectorAll("video")];
+    return vids.find(v => !v.paused && v.readyState > 2) ||
+      document.querySelector("video.html5-main-video") ||
+      vids[0] || null;
+  }
+
+  function report(final = false) {
+    if (!view) return;
+    if (view.bufferingSince) {
+      view.bufferingSeconds += (Date.now() - view.bufferingSince) / 1000;
+      view.bufferingSince = final ? null : Date.now();
+    }
+    view.lastReportAt = Date.now();
+    // YouTube updates the title a moment after navigating; keep the last one seen on this video's page
+    const current = getCurrentVideo();
+    if (current.videoId === view.videoId && current.surface !== "miniplayer" && document.title) view.pageTitle = document.title;
+    const stats = {
+      watchedSeconds: Math.round(view.watchedSeconds),
+      maxPositionSeconds: Math.round(view.maxPositionSeconds),
+      mediaDurationSeconds: view.mediaDurationSeconds,
+      playbackRate: view.playbackRate,
+      pauseCount: view.pauseCount,
+      seekCount: view.seekCount,
+      bufferingCount: view.bufferingCount,
+      bufferingSeconds: Math.round(view.bufferingSeconds),
+      ended: view.ended,
+      autoplayedNext: view.autoplayedNext,
+      pageTitle: view.pageTitle,
+    };
+    const viewId = view.viewId;
     try {
-      if (url.includes("/watch")) {
-        const u = new URL(url);
-        videoId = u.searchParams.get("v");
-      } else if (url.includes("/shorts/")) {
-        const m = url.match(/\/shorts\/([a-zA-Z0-9_-]{6,})/);
-        if (m) videoId = m[1];
+      chrome.runtime.sendMessage({ type: "YTL_PROGRESS", viewId, videoId: view.videoId, stats, final }, (res) => {
+        if (res?.block && view?.viewId === viewId) showBlock(res.block);
+      });
+    } catch {} // extension reloaded; context invalidated
+  }
+
+  // ---------- Parental controls overlay ----------
+  // Background decides; we cover the page and keep the video paused until
+  // the user navigates to another video.
+  let block = null;
+  let overlay = null;
+
+  // Captured on the document, so videos YouTube creates after the block (a Shorts swipe, a rebuilt player) stay paused too
+  function holdPaused(e) {
+    if (block && e.target instanceof HTMLVideoElement) e.target.pause();
+  }
+
+  function showBlock(b) {
+    block = b;
+    for (const v of document.querySelectorAll("video")) v.pause();
+    document.addEventListener("play", holdPaused, true);
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = "ytl-block-overlay";
+      overlay.style.cssText = [
+        "position:fixed", "inset:0", "z-index:2147483647", "background:rgba(15,15,15,.96)",
+        "color:#fff", "display:flex", "flex-direction:column", "align-items:center", "justify-content:center",
+        "gap:12px", "font:16px/1.4 Roboto,Arial,sans-serif", "text-align:center", "padding:24px",
+      ].join(";");
+      const title = document.createElement("div");
+      title.style.cssText = "font-size:24px;font-weight:600";
+      title.textContent = "This video is blocked";
+      const msg = document.createElement("div");
+      msg.className = "ytl-block-message";
+      const home = document.createElement("a");
+      home.href = "https://www.youtube.com/";
+      home.textContent = "Back to YouTube home";
+      home.style.cssText = "color:#3ea6ff";
+      overlay.append(title, msg, home);
+    }
+    overlay.querySelector(".ytl-block-message").textContent = b.message || "Blocked by parental controls.";
+    (document.body || document.documentElement).appendChild(overlay);
+  }
+
+  function clearBlock() {
+    block = null;
+    overlay?.remove();
+    document.removeEventListener("play", holdPaused, true);
+  }
+
+  // Media events don't bubble; one capturing listener on the document sees every <video>, including ones added later
+  function onVideoEvent(e) {
+    const v = e.target;
+    if (!(v instanceof HTMLVideoElement)) return;
+    if (e.type === "loadedmetadata") scheduleCheck();
+    if (e.type === "playing" && embedded && !embedPlayed) {
+      embedPlayed = true;
+      maybeSend();
+    }
+    if (!view || v !== findVideoElement()) return;
+    if (isAdShowing()) { view.lastTime = null; return; }
+
+    if (Number.isFinite(v.duration) && v.duration > 0) view.mediaDurationSeconds = Math.round(v.duration);
+
+    switch (e.type) {
+      case "timeupdate": {
+        const t = v.currentTime;
+        if (!v.paused && !v.seeking && view.lastTime != null) {
+          const delta = t - view.lastTime;
+          // Ignore jumps (seeks, loops) — only count continuous playback
+          if (delta > 0 && delta < 2 * Math.max(1, v.playbackRate)) view.watchedSeconds += delta;
+        }
+        view.lastTime = t;
+        if (t > view.maxPositionSeconds) view.maxPositionSeconds = t;
+        if (Date.now() - view.lastReportAt > PROGRESS_INTERVAL_MS) report();
+        break;
       }
-    } catch {}
-    return { videoId, url };
+      case "playing":
+        view.lastTime = v.currentTime;
+        if (view.bufferingSince) {
+          view.bufferingSeconds += (Date.now() - view.bufferingSince) / 1000;
+          view.bufferingSince = null;
+        }
+        break;
+      case "waiting":
+        if (!view.bufferingSince) {
+          view.bufferingCount += 1;
+          view.bufferingSince = Date.now();
+        }
+        break;
+      case "pause":
+        if (!v.ended) view.pauseCount += 1;
+        report();
+        break;
+      case "seeking":
+        view.seekCount += 1;
+        view.lastTime = null;
+        break;
+      case "ratechange":
+        view.playbackRate = v.playbackRate;
+        break;
+      case "ended":
+        view.ended = true;
+        view.endedAt = Date.now();
+        view.maxPositionSeconds = Math.max(view.maxPositionSeconds, v.currentTime);
+        report();
+        break;
+    }
   }
 
-  let lastSent = { videoId: null, url: null };
+  for (const type of ["timeupdate", "playing", "waiting", "pause", "seeking", "ratechange", "ended", "loadedmetadata"]) {
+    document.addEventListener(type, onVideoEvent, true);
+  }
+
+  // Returns the new view and whether the previous one autoplayed into it
+  function startView(videoId) {
+    clearBlock();
+    let autoplayed = false;
+    if (view) {
+      autoplayed = view.autoplayedNext = !!view.endedAt && Date.now() - view.endedAt < AUTOPLAY_WINDOW_MS;
+      report(true);
+    }
+    view = newView(videoId);
+    return { viewId: view.viewId, autoplayed };
+  }
+
+  // The video the current view is for, and where it was last seen. A view ends when the video changes,
+  // when a navigation lands on another URL (so A → B → A or a followed link to A counts again), or on a
+  // page without a video. Shrinking into or expanding out of the miniplayer keeps the view going.
+  let lastSent = { videoId: null, page: null, surface: null };
+  let navigated = false;
+
+  // The parts of the URL that make it another page; YouTube rewrites tracking and time params in place
+  function pageKey() {
+    const q = new URLSearchParams(location.search);
+    return `${location.host}${location.pathname}?v=${q.get("v") || ""}&list=${q.get("list") || ""}`;
+  }
+
+  function isSameView(videoId, surface, afterNavigation) {
+    if (videoId !== lastSent.videoId) return false;
+    if (!afterNavigation || pageKey() === lastSent.page) return true;
+    return surface === "miniplayer" || lastSent.surface === "miniplayer";
+  }
 
   function maybeSend() {
-    const { videoId, url } = getCurrentVideo();
-    if (!videoId) return;
-    if (videoId === lastSent.videoId) return;
-    lastSent = { videoId, url };
-    chrome.runtime.sendMessage({ type: "YTL_VIDEO", videoId, url }, () => {});
+    trackLocation();
+    const { videoId, url, surface } = getCurrentVideo();
+    const afterNavigation = navigated;
+    navigated = false;
+    if (!videoId) {
+      // left the video: close its view now rather than at pagehide
+      if (lastSent.videoId) {
+        report(true);
+        view = null;
+        clearBlock();
+        lastSent = { videoId: null, page: null, surface: null };
+      }
+      return;
+    }
+    if (embedded && !embedPlayed) return;
+    const same = isSameView(videoId, surface, afterNavigation);
+    lastSent = { videoId, page: pageKey(), surface };
+    if (same) return;
+    const { viewId, autoplayed } = startView(videoId);
+    const context = navigationContext(location.href, surface, autoplayed);
+    requestPageData(videoId).then((pageData) => {
+      chrome.runtime.sendMessage({ type: "YTL_VIDEO", videoId, url, viewId, context, pageData }, (res) => {
+        if (res?.block && view?.viewId === viewId) showBlock(res.block);
+      });
+    });
   }
 
-  // Initial
-  document.addEventListener("DOMContentLoaded", () => {
-    setTimeout(maybeSend, 800);
+  // Flush the current view when the tab goes away or is hidden
+  window.addEventListener("pagehide", () => report(true));
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") report();
   });
 
-  // Watch for SPA route changes
-  const origPush = history.pushState;
-  const origReplace = history.replaceState;
-  function wrap(fn) {
-    return function () {
-      const r = fn.apply(this, arguments);
-      setTimeout(maybeSend, 800);
-      return r;
-    };
+  // ---------- Navigation ----------
+  let checkTimer = null;
+  function scheduleCheck() {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(maybeSend, CHECK_DELAY_MS);
+  }
+
+  function onNavigate(e) {
+    trackLocation();
+    // yt-page-data-updated also fires for in-page updates; only real navigations can start a new view
+    if (e?.type !== "yt-page-data-updated") navigated = true;
+    scheduleCheck();
   }
-  history.pushState = wrap(origPush);
-  history.replaceState = wrap(origReplace);
-  window.addEventListener("popstate", () => setTimeout(maybeSend, 800));
 
-  // DOM mutations can indicate internal navigation
-  const mo = new MutationObserver(() => setTimeout(maybeSend, 800));
-  mo.observe(document.documentElement, { childList: true, subtree: true });
-})();
\ No newline at end of file
+  // YouTube's SPA events: desktop and Music fire yt-navigate-finish on the document, the mobile site state-navigateend on the window
+  document.addEventListener("yt-navigate-finish", onNavigate);
+  document.addEventListener("yt-page-data-updated", onNavigate);
+  window.addEventListener("state-navigateend", onNavigate);
+  window.addEventListener("popstate", onNavigate);
+
+  // The player's video-change signal, relayed by pagedata.js (miniplayer, embed playlists, Music's queue)
+  window.addEventListener("message", (e) => {
+    if (e.source !== window || e.data?.source !== "ytl-page" || e.data.type !== "YTL_VIDEO_CHANGE") return;
+    playerVideoId = e.data.videoId;
+    scheduleCheck();
+  });
+
+  // Initial
+  document.addEventListener("DOMContentLoaded", scheduleCheck);
+})();
@@ -0,0 +1,108 @@
+// controls.js — per-profile parental controls (chrome.storage.sync "controls"), shared by background and Options
+// Rule evaluation is pure: background gathers metadata + today's usage and asks evaluateControls() for a verdict.
+
+const DEFAULT_CONTROLS = {
+  enabled: false,
+  allowChannels: [],      // if non-empty, only these channels may play
+  blockChannels: [],      // channel IDs, @handles or names
+  allowCategories: [],    // if non-empty, only these categories may play
+  blockCategories: [],
+  blockKeywords: [],      // matched against title, tags and channel name
+  blockNotForKids: false, // madeForKids === false
+  blockAgeRestricted: false,
+  blockUnknown: false,    // block when metadata can't be determined
+  dailyLimitMinutes: 0,   // 0 = no limit
+  shortsLimitMinutes: 0,
+};
+
+function normalizeControls(c) {
+  const out = { ...DEFAULT_CONTROLS, ...(c || {}) };
+  for (const k of ["allowChannels", "blockChannels", "allowCategories", "blockCategories", "blockKeywords"]) {
+    out[k] = (Array.isArray(out[k]) ? out[k] : []).map(s => String(s).trim()).filter(Boolean);
+  }
+  out.dailyLimitMinutes = Math.max(0, Number(out.dailyLimitMinutes) || 0);
+  out.shortsLimitMinutes = Math.max(0, Number(out.shortsLimitMinutes) || 0);
+  return out;
+}
+
+function getAllControls() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ controls: {} }, ({ controls }) => resolve(controls && typeof controls === "object" ? controls : {}));
+  });
+}
+
+async function getControls(profile) {
+  return normalizeControls((await getAllControls())[profile]);
+}
+
+async function saveControls(profile, controls) {
+  const all = await getAllControls();
+  all[profile] = normalizeControls(controls);
+  return new Promise((resolve) => chrome.storage.sync.set({ controls: all }, resolve));
+}
+
+function lc(s) {
+  return String(s || "").toLowerCase();
+}
+
+function channelMatches(list, meta) {
+  const ids = [meta.channelId, meta.channelTitle, meta.channelExtra?.customUrl].filter(Boolean).map(lc);
+  return list.some(item => ids.includes(lc(item)) || ids.includes(lc(item).replace(/^(?!@)/, "@")));
+}
+
+function categoryMatches(list, meta) {
+  return !!meta.categoryName && list.some(item => lc(item) === lc(meta.categoryName));
+}
+
+function keywordMatch(list, meta) {
+  const hay = [meta.title, meta.channelTitle, ...(meta.tags || [])].map(lc).join("\n");
+  return list.find(k => hay.includes(lc(k))) || null;
+}
+
+/**
+ * Decides whether a video may play.
+ * @param controls normalized controls for the profile
+ * @param meta entry-shaped metadata, or null when unknown
+ * @param usage { seconds, shortsSeconds } watched today by this profile
+ * @param isShorts whether the video being checked is a Short
+ * @returns null to allow, or { reason, rule, message } to block
+ */
+function evaluateControls(controls, meta, usage, isShorts) {
+  if (!controls?.enabled) return null;
+
+  if (controls.dailyLimitMinutes && usage.seconds >= controls.dailyLimitMinutes * 60) {
+    return { reason: "dailyLimit", rule: `${controls.dailyLimitMinutes} min/day`, message: "Today's watch time limit has been reached." };
+  }
+  if (isShorts && controls.shortsLimitMinutes && usage.shortsSeconds >= controls.shortsLimitMinutes * 60) {
+    return { reason: "shortsLimit", rule: `${controls.shortsLimitMinutes} min/day`, message: "Today's Shorts limit has been reached." };
+  }
+
+  if (!meta || !meta.channelId) {
+    return controls.blockUnknown
+      ? { reason: "unknown", rule: "blockUnknown", message: "This video couldn't be checked, so it's blocked." }
+      : null;
+  }
+
+  if (controls.allowChannels.length) {
+    if (channelMatches(controls.allowChannels, meta)) return null; // explicit allow wins over other rules
+    return { reason: "channel", rule: "allowChannels", message: `${meta.channelTitle || "This channel"} isn't on the allowed list.` };
+  }
+  if (channelMatches(controls.blockChannels, meta)) {
+    return { reason: "channel", rule: "blockChannels", message: `${meta.channelTitle || "This channel"} is blocked.` };
+  }
+  if (controls.allowCategories.length && !categoryMatches(controls.allowCategories, meta)) {
+    return { reason: "category", rule: "allowCategories", message: `${meta.categoryName || "This category"} isn't on the allowed list.` };
+  }
+  if (categoryMatches(controls.blockCategories, meta)) {
+    return { reason: "category", rule: "blockCategories", message: `${meta.categoryName} videos are blocked.` };
+  }
+  const kw = keywordMatch(controls.blockKeywords, meta);
+  if (kw) return { reason: "keyword", rule: kw, message: `Blocked keyword: "${kw}".` };
+  if (controls.blockNotForKids && meta.madeForKids === false) {
+    return { reason: "notForKids", rule: "blockNotForKids", message: "This video isn't made for kids." };
+  }
+  if (controls.blockAgeRestricted && meta.contentRating?.ytRating === "ytAgeRestricted") {
+    return { reason: "ageRestricted", rule: "blockAgeRestricted", message: "This video is age-restricted." };
+  }
+  return null;
+}
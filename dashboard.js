@@ -0,0 +1,256 @@
+// dashboard.js — full-tab statistics over the watch log, per profile and date range
+// State lives in the URL (?profile=&from=&to=) so a view can be bookmarked or reopened.
+
+// ---------- Helpers ----------
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function fmtHours(sec) {
+  if (!sec) return "0m";
+  const h = Math.floor(sec / 3600);
+  const m = Math.round((sec % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function fmtPct(n) {
+  return `${Math.round(n)}%`;
+}
+
+function parseDay(value) {
+  const [y, m, d] = String(value || "").split("-").map(Number);
+  return y ? new Date(y, m - 1, d) : null;
+}
+
+function readState() {
+  const p = new URLSearchParams(location.search);
+  const to = parseDay(p.get("to")) || new Date();
+  const from = parseDay(p.get("from")) || new Date(to.getFullYear(), to.getMonth(), to.getDate() - 29);
+  return { profile: p.get("profile") || "", from, to };
+}
+
+function writeState({ profile, from, to }) {
+  const p = new URLSearchParams();
+  if (profile) p.set("profile", profile);
+  p.set("from", localDayKey(from));
+  p.set("to", localDayKey(to));
+  history.replaceState(null, "", `?${p}`);
+}
+
+// [from 00:00, to+1 00:00) as ISO strings, the shape dbScanEntries wants
+function rangeBounds(from, to) {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+  return { after: start.toISOString(), before: end.toISOString(), days: Math.round((end - start) / 86400000) };
+}
+
+// ---------- Charts (plain SVG/HTML; no chart library under MV3's CSP) ----------
+function barChart(root, items, { stacked = false, line = null } = {}) {
+  const W = 1000, H = 200, padL = 40, padB = 20, padT = 8;
+  const max = Math.max(1, ...items.map(i => i.total), ...(line || []));
+  const bw = (W - padL) / Math.max(1, items.length);
+  const y = (v) => H - padB - ((H - padB - padT) * v) / max;
+  const parts = [];
+
+  // y axis: 0 and max, in hours/minutes
+  parts.push(`<text class="axis" x="0" y="${y(max) + 8}">${fmtHours(max)}</text>`);
+  parts.push(`<text class="axis" x="0" y="${H - padB}">0</text>`);
+
+  items.forEach((it, i) => {
+    const x = padL + i * bw + bw * 0.1;
+    const w = Math.max(1, bw * 0.8);
+    const title = `<title>${escapeHtml(it.label)}: ${fmtHours(it.total)}</title>`;
+    if (stacked) {
+      const hl = y(0) - y(it.long);
+      const hs = y(0) - y(it.shorts);
+      parts.push(`<rect class="bar-long" x="${x}" y="${y(it.long)}" width="${w}" height="${hl}">${title}</rect>`);
+      parts.push(`<rect class="bar-shorts" x="${x}" y="${y(it.long) - hs}" width="${w}" height="${hs}">${title}</rect>`);
+    } else {
+      parts.push(`<rect class="bar-long" x="${x}" y="${y(it.total)}" width="${w}" height="${y(0) - y(it.total)}">${title}</rect>`);
+    }
+  });
+
+  if (line) {
+    const pts = line.map((v, i) => `${padL + i * bw + bw / 2},${y(v)}`).join(" ");
+    parts.push(`<polyline class="avg" points="${pts}" />`);
+  }
+
+  // x labels: first, middle, last
+  const labelAt = [...new Set([0, Math.floor(items.length / 2), items.length - 1])].filter(i => i >= 0);
+  for (const i of labelAt) {
+    parts.push(`<text class="axis" x="${padL + i * bw}" y="${H - 4}">${escapeHtml(items[i].label)}</text>`);
+  }
+
+  root.innerHTML = `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">${parts.join("")}</svg>`;
+}
+
+function hbars(root, items) {
+  if (!items.length) {
+    root.innerHTML = '<div class="muted">Nothing yet.</div>';
+    return;
+  }
+  const max = Math.max(1, ...items.map(i => i.seconds));
+  root.innerHTML = items.map(i => `
+    <div class="hbar" title="${i.count} video${i.count === 1 ? "" : "s"}">
+      <span class="name">${escapeHtml(i.title || i.key)}</span>
+      <span class="track"><span class="fill" style="display:block;width:${(100 * i.seconds) / max}%"></span></span>
+      <span class="num">${fmtHours(i.seconds)}</span>
+    </div>
+  `).join("");
+}
+
+function heatmapGrid(root, heatmap) {
+  const max = Math.max(1, ...heatmap.flat());
+  const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+  const cells = ['<span></span>'];
+  for (let h = 0; h < 24; h++) cells.push(`<span class="hour">${h % 3 === 0 ? h : ""}</span>`);
+  heatmap.forEach((row, d) => {
+    cells.push(`<span>${days[d]}</span>`);
+    row.forEach((sec, h) => {
+      const a = sec ? 0.12 + 0.88 * (sec / max) : 0.04;
+      cells.push(`<span class="cell" style="opacity:${a.toFixed(2)}" title="${days[d]} ${h}:00 — ${fmtHours(sec)}"></span>`);
+    });
+  });
+  root.innerHTML = cells.join("");
+}
+
+function kpi(label, value, delta = null) {
+  let d = "";
+  if (delta != null && isFinite(delta)) {
+    const cls = delta > 0 ? "up" : delta < 0 ? "down" : "";
+    d = `<div class="delta ${cls}">${delta > 0 ? "▲" : delta < 0 ? "▼" : "■"} ${fmtPct(Math.abs(delta))} vs. previous period</div>`;
+  }
+  return `<div class="kpi"><div class="label">${label}</div><div class="value">${value}</div>${d}</div>`;
+}
+
+function pctChange(cur, prev) {
+  return prev ? ((cur - prev) / prev) * 100 : null;
+}
+
+// ---------- Render ----------
+async function render() {
+  const state = readState();
+  writeState(state);
+  document.getElementById("profile").value = state.profile;
+  document.getElementById("from").value = localDayKey(state.from);
+  document.getElementById("to").value = localDayKey(state.to);
+
+  const { after, before, days } = rangeBounds(state.from, state.to);
+  const prevFrom = new Date(state.from.getFullYear(), state.from.getMonth(), state.from.getDate() - days);
+  const prevTo = new Date(state.from.getFullYear(), state.from.getMonth(), state.from.getDate() - 1);
+  const prev = rangeBounds(prevFrom, prevTo);
+  const profile = state.profile || null;
+
+  const [rows, prevRows] = await Promise.all([
+    dbGetAllEntries({ profile, after, before }),
+    dbGetAllEntries({ profile, after: prev.after, before: prev.before }),
+  ]);
+  const s = summarizeEntries(rows);
+  const p = summarizeEntries(prevRows);
+  const t = s.totals;
+
+  document.getElementById("empty").hidden = t.count > 0;
+
+  const shortsShare = t.seconds ? (100 * t.shortsSeconds) / t.seconds : 0;
+  const prevShortsShare = p.totals.seconds ? (100 * p.totals.shortsSeconds) / p.totals.seconds : null;
+  document.getElementById("kpis").innerHTML = [
+    kpi("Time watched", fmtHours(t.seconds), pctChange(t.seconds, p.totals.seconds)),
+    kpi("Videos", String(t.count), pctChange(t.count, p.totals.count)),
+    kpi("Average per day", fmtHours(t.seconds / days), pctChange(t.seconds / days, p.totals.seconds / days)),
+    kpi("Shorts share of time", fmtPct(shortsShare), prevShortsShare == null ? null : shortsShare - prevShortsShare),
+    kpi("Made for kids", t.count ? fmtPct((100 * t.madeForKidsCount) / t.count) : "—"),
+  ].join("");
+
+  // Daily, with empty days and a trailing 7-day average for the trend
+  const dayKeys = dayRange(state.from, state.to);
+  const daily = dayKeys.map(k => {
+    const b = s.byDay.get(k) || { seconds: 0, shortsSeconds: 0, longSeconds: 0 };
+    return { label: k, total: b.seconds, shorts: b.shortsSeconds, long: b.longSeconds };
+  });
+  const avg = daily.map((_, i) => {
+    const win = daily.slice(Math.max(0, i - 6), i + 1);
+    return win.reduce((a, b) => a + b.total, 0) / win.length;
+  });
+  barChart(document.getElementById("daily"), daily, { stacked: true, line: avg });
+
+  const weekKeys = [...new Set(dayKeys.map(k => localWeekKey(parseDay(k))))];
+  const weekly = weekKeys.map(k => {
+    const b = s.byWeek.get(k) || { seconds: 0, shortsSeconds: 0, longSeconds: 0 };
+    return { label: `wk of ${k}`, total: b.seconds, shorts: b.shortsSeconds, long: b.longSeconds };
+  });
+  barChart(document.getElementById("weekly"), weekly, { stacked: true });
+
+  hbars(document.getElementById("channels"), s.topChannels);
+  hbars(document.getElementById("categories"), s.topCategories);
+  hbars(document.getElementById("topics"), s.topTopics);
+
+  const longShare = t.seconds ? 100 - shortsShare : 0;
+  document.getElementById("split").innerHTML = `
+    <div class="split-bar">
+      <span class="long" style="width:${longShare}%"></span>
+      <span class="shorts" style="width:${t.seconds ? shortsShare : 0}%"></span>
+    </div>
+    <div class="split-row"><span>Long-form: ${t.longCount} videos</span><span>${fmtHours(t.longSeconds)} (${fmtPct(longShare)})</span></div>
+    <div class="split-row"><span>Shorts: ${t.shortsCount} videos</span><span>${fmtHours(t.shortsSeconds)} (${fmtPct(shortsShare)})</span></div>
+  `;
+
+  heatmapGrid(document.getElementById("heatmap"), s.heatmap);
+}
+
+// Opens the report in a new tab; the page itself is self-contained so it can be printed or saved as is
+async function openReport() {
+  const { profile, from, to } = readState();
+  const { html } = await buildReportHtml({ profile: profile || null, from, to });
+  window.open(URL.createObjectURL(new Blob([html], { type: "text/html" })), "_blank");
+}
+
+function setState(patch) {
+  const cur = readState();
+  writeState({ ...cur, ...patch });
+  render();
+}
+
+// ---------- Bind events ----------
+document.addEventListener("DOMContentLoaded", async () => {
+  const { profiles } = await getProfiles();
+  const logged = await dbListProfiles().catch(() => []);
+  const names = [...new Set([...profiles.map(p => p.name), ...logged])];
+  const sel = document.getElementById("profile");
+  for (const n of names) {
+    const opt = document.createElement("option");
+    opt.value = n;
+    opt.textContent = profileLabel(profiles, n);
+    sel.appendChild(opt);
+  }
+
+  sel.addEventListener("change", (e) => setState({ profile: e.target.value }));
+  document.getElementById("from").addEventListener("change", (e) => {
+    const d = parseDay(e.target.value);
+    if (d) setState({ from: d });
+  });
+  document.getElementById("to").addEventListener("change", (e) => {
+    const d = parseDay(e.target.value);
+    if (d) setState({ to: d });
+  });
+  document.getElementById("report").addEventListener("click", openReport);
+  document.querySelectorAll(".presets button").forEach((b) => b.addEventListener("click", async () => {
+    const to = new Date();
+    if (b.dataset.days === "all") {
+      const { profile } = readState();
+      const oldest = await dbOldestWatchedAt(profile || null);
+      return setState({ from: oldest ? new Date(oldest) : to, to });
+    }
+    const n = Number(b.dataset.days);
+    setState({ from: new Date(to.getFullYear(), to.getMonth(), to.getDate() - (n - 1)), to });
+  }));
+
+  render();
+
+  // Progress updates bump progressRevision every few seconds while something plays
+  let pending = null;
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !(changes.logRevision || changes.progressRevision)) return;
+    clearTimeout(pending);
+    pending = setTimeout(render, 2000);
+  });
+});
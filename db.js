@@ -0,0 +1,390 @@
+// db.js — IndexedDB storage for the watch log, shared by background (importScripts) and pages
+// - entries: one row per logged watch, auto-increment id, indexed by watchedAt/profile/videoId/channelId;
+//   repeat views folded into an entry are found through the multiEntry rewatchViewIds index (v2)
+// - lastLogged: dedup timestamps (+ the entry they point at) per profile:videoId, indexed by time so stale keys can be pruned
+// - sessions: viewing sessions derived from entries by the background (v3), id "<profile>:<startAt>"
+// - channels: YouTube Data API channel details keyed by channelId, with fetchedAt for the cache TTL (v4);
+//   entries gained a refreshedAt index (v4) so the metadata refresh can pick the stalest ones
+// Every write is its own readwrite transaction, so the worker and open pages can write concurrently.
+
+const DB_NAME = "ytl";
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+function dbOpen() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("entries")) {
+        const entries = db.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+        entries.createIndex("watchedAt", "watchedAt");
+        entries.createIndex("profile", "profile");
+        entries.createIndex("profile_watchedAt", ["profile", "watchedAt"]);
+        entries.createIndex("videoId", "videoId");
+        entries.createIndex("channelId", "channelId");
+        entries.createIndex("viewId", "viewId");
+      }
+      if (!db.objectStoreNames.contains("lastLogged")) {
+        const lastLogged = db.createObjectStore("lastLogged", { keyPath: "key" });
+        lastLogged.createIndex("at", "at");
+      }
+      if (e.oldVersion < 2) {
+        req.transaction.objectStore("entries").createIndex("rewatchViewIds", "rewatchViewIds", { multiEntry: true });
+      }
+      if (e.oldVersion < 3) {
+        const sessions = db.createObjectStore("sessions", { keyPath: "id" });
+        sessions.createIndex("startAt", "startAt");
+        sessions.createIndex("profile_startAt", ["profile", "startAt"]);
+      }
+      if (e.oldVersion < 4) {
+        db.createObjectStore("channels", { keyPath: "channelId" });
+        const entries = req.transaction.objectStore("entries");
+        entries.createIndex("refreshedAt", "refreshedAt");
+        // Entries with metadata count as fresh from when it arrived
+        entries.openCursor().onsuccess = (ev) => {
+          const cursor = ev.target.result;
+          if (!cursor) return;
+          const entry = cursor.value;
+          if (entry.enrichment === "done" && !entry.refreshedAt) {
+            entry.refreshedAt = entry.enrichedAt || entry.watchedAt;
+            cursor.update(entry);
+          }
+          cursor.continue();
+        };
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another context upgraded the schema; reopen lazily next time
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+function reqDone(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+async function dbTx(stores, mode, fn) {
+  const db = await dbOpen();
+  const tx = db.transaction(stores, mode);
+  const done = txDone(tx);
+  done.catch(() => {}); // if fn throws, its error is the one reported; the abort that follows isn't
+  const result = await fn(tx);
+  await done;
+  return result;
+}
+
+// --------------------------- Entries ---------------------------
+function dbAddEntry(entry) {
+  return dbTx("entries", "readwrite", (tx) => reqDone(tx.objectStore("entries").add(entry)));
+}
+
+// Each entry gets its new `id` once the transaction has committed
+function dbAddEntries(entries) {
+  return dbTx("entries", "readwrite", (tx) => {
+    const store = tx.objectStore("entries");
+    for (const e of entries) store.add(e).onsuccess = (ev) => { e.id = ev.target.result; };
+  });
+}
+
+function dbGetEntry(id) {
+  return dbTx("entries", "readonly", (tx) => reqDone(tx.objectStore("entries").get(id)));
+}
+
+function dbDeleteEntry(id) {
+  return dbTx("entries", "readwrite", (tx) => reqDone(tx.objectStore("entries").delete(id)));
+}
+
+function dbClearEntries() {
+  return dbTx("entries", "readwrite", (tx) => reqDone(tx.objectStore("entries").clear()));
+}
+
+function dbCountEntries() {
+  return dbTx("entries", "readonly", (tx) => reqDone(tx.objectStore("entries").count()));
+}
+
+// Calls patch(entry) for every entry whose `indexName` value is one of `keys`;
+// patch mutates the entry and returns true to write it back. Runs in one transaction.
+function dbUpdateByIndex(indexName, keys, patch) {
+  const list = Array.isArray(keys) ? keys : [keys];
+  return dbTx("entries", "readwrite", (tx) => new Promise((resolve, reject) => {
+    const index = tx.objectStore("entries").index(indexName);
+    let updated = 0;
+    let pending = list.length;
+    if (!pending) return resolve(0);
+    for (const key of list) {
+      const req = index.openCursor(IDBKeyRange.only(key));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          if (--pending === 0) resolve(updated);
+          return;
+        }
+        const entry = cursor.value;
+        if (patch(entry) === true) {
+          cursor.update(entry);
+          updated++;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    }
+  }));
+}
+
+// Same contract as dbUpdateByIndex, over every entry
+function dbUpdateAll(patch) {
+  return dbTx("entries", "readwrite", (tx) => new Promise((resolve, reject) => {
+    let updated = 0;
+    const req = tx.objectStore("entries").openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(updated);
+      const entry = cursor.value;
+      if (patch(entry) === true) {
+        cursor.update(entry);
+        updated++;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function dbUpdateEntry(id, patch) {
+  return dbTx("entries", "readwrite", async (tx) => {
+    const store = tx.objectStore("entries");
+    const entry = await reqDone(store.get(id));
+    if (!entry || patch(entry) !== true) return null;
+    await reqDone(store.put(entry));
+    return entry;
+  });
+}
+
+// Newest-first scan with an optional predicate. Returns up to `limit` matches
+// plus a `cursor` (a watchedAt value) to pass back in for the next page.
+// A page never ends in the middle of a run of equal watchedAt values, so
+// resuming strictly below the returned cursor can't skip or repeat rows.
+function dbScanEntries({ profile = null, before = null, after = null, filter = null, limit = 50 } = {}) {
+  return dbTx("entries", "readonly", (tx) => new Promise((resolve, reject) => {
+    const store = tx.objectStore("entries");
+    let source, range;
+    if (profile != null) {
+      source = store.index("profile_watchedAt");
+      const lower = [profile, after ?? ""];
+      const upper = before != null ? [profile, before] : [profile, "\uffff"];
+      range = IDBKeyRange.bound(lower, upper, false, before != null);
+    } else {
+      source = store.index("watchedAt");
+      if (before != null && after != null) range = IDBKeyRange.bound(after, before, false, true);
+      else if (before != null) range = IDBKeyRange.upperBound(before, true);
+      else if (after != null) range = IDBKeyRange.lowerBound(after);
+    }
+
+    const rows = [];
+    let lastKey = null;
+    const req = source.openCursor(range, "prev");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve({ rows, cursor: null, done: true });
+      const entry = cursor.value;
+      if (rows.length >= limit && entry.watchedAt !== lastKey) {
+        return resolve({ rows, cursor: lastKey, done: false });
+      }
+      if (!filter || filter(entry)) {
+        rows.push(entry);
+        lastKey = entry.watchedAt;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// All entries (newest first), optionally for one profile and/or a watchedAt window
+async function dbGetAllEntries({ profile = null, before = null, after = null, filter = null } = {}) {
+  const { rows } = await dbScanEntries({ profile, before, after, filter, limit: Infinity });
+  return rows;
+}
+
+function dbGetEntriesByIndex(indexName, key) {
+  return dbTx("entries", "readonly", (tx) => reqDone(tx.objectStore("entries").index(indexName).getAll(IDBKeyRange.only(key))));
+}
+
+// watchedAt of the oldest entry (optionally for one profile), or null
+function dbOldestWatchedAt(profile = null) {
+  return dbTx("entries", "readonly", async (tx) => {
+    const store = tx.objectStore("entries");
+    const cursor = profile != null
+      ? await reqDone(store.index("profile_watchedAt").openCursor(IDBKeyRange.bound([profile, ""], [profile, "\uffff"])))
+      : await reqDone(store.index("watchedAt").openCursor());
+    return cursor ? cursor.value.watchedAt : null;
+  });
+}
+
+// Retention for one profile: deletes entries watched before `before` (ISO, exclusive)
+// and everything past the newest `keep` (0 = no count limit). `onRemove(entry)` sees
+// each entry before it goes. Returns the number removed.
+function dbPruneEntries(profile, { before = null, keep = 0, onRemove = null } = {}) {
+  return dbTx("entries", "readwrite", (tx) => new Promise((resolve, reject) => {
+    let removed = 0, seen = 0;
+    const range = IDBKeyRange.bound([profile, ""], [profile, "\uffff"]);
+    const req = tx.objectStore("entries").index("profile_watchedAt").openCursor(range, "prev");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(removed);
+      seen++;
+      if ((keep && seen > keep) || (before && cursor.value.watchedAt < before)) {
+        if (onRemove) onRemove(cursor.value);
+        cursor.delete();
+        removed++;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// Up to `limit` entries whose metadata was last refreshed before `beforeIso`, stalest first
+function dbGetStaleEntries(beforeIso, limit) {
+  return dbTx("entries", "readonly", (tx) => reqDone(tx.objectStore("entries").index("refreshedAt").getAll(IDBKeyRange.upperBound(beforeIso, true), limit)));
+}
+
+// Distinct profile names that have at least one entry
+function dbListProfiles() {
+  return dbTx("entries", "readonly", (tx) => new Promise((resolve, reject) => {
+    const names = [];
+    const req = tx.objectStore("entries").index("profile").openKeyCursor(null, "nextunique");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(names);
+      names.push(cursor.key);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// --------------------------- Dedup timestamps ---------------------------
+// -> { key, at, entryId } or null; entryId is missing on rows from before rewatch tracking
+function dbGetLastLogged(key) {
+  return dbTx("lastLogged", "readonly", async (tx) => (await reqDone(tx.objectStore("lastLogged").get(key))) || null);
+}
+
+function dbSetLastLogged(key, at, entryId = null) {
+  return dbTx("lastLogged", "readwrite", (tx) => reqDone(tx.objectStore("lastLogged").put({ key, at, entryId })));
+}
+
+function dbSetLastLoggedMany(map) {
+  return dbTx("lastLogged", "readwrite", (tx) => {
+    const store = tx.objectStore("lastLogged");
+    for (const [key, at] of Object.entries(map)) store.put({ key, at });
+  });
+}
+
+function dbClearLastLogged() {
+  return dbTx("lastLogged", "readwrite", (tx) => reqDone(tx.objectStore("lastLogged").clear()));
+}
+
+// Drops dedup keys last touched before `cutoffIso`
+function dbPruneLastLogged(cutoffIso) {
+  return dbTx("lastLogged", "readwrite", (tx) => new Promise((resolve, reject) => {
+    let removed = 0;
+    const req = tx.objectStore("lastLogged").index("at").openCursor(IDBKeyRange.upperBound(cutoffIso, true));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(removed);
+      cursor.delete();
+      removed++;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// --------------------------- Sessions ---------------------------
+// Replaces `profile`'s sessions starting at or after `fromIso` (all of them when null) with `sessions`
+function dbReplaceSessions(profile, fromIso, sessions) {
+  return dbTx("sessions", "readwrite", (tx) => new Promise((resolve, reject) => {
+    const store = tx.objectStore("sessions");
+    const range = IDBKeyRange.bound([profile, fromIso || ""], [profile, "\uffff"]);
+    const req = store.index("profile_startAt").openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        cursor.delete();
+        return cursor.continue();
+      }
+      for (const s of sessions) store.put(s);
+      resolve();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+// The profile's latest session that started at or before `iso`, or null
+function dbSessionAtOrBefore(profile, iso) {
+  return dbTx("sessions", "readonly", async (tx) => {
+    const range = IDBKeyRange.bound([profile, ""], [profile, iso]);
+    const cursor = await reqDone(tx.objectStore("sessions").index("profile_startAt").openCursor(range, "prev"));
+    return cursor ? cursor.value : null;
+  });
+}
+
+// Oldest first by startAt; `after` inclusive, `before` exclusive
+function dbGetSessions({ profile = null, after = null, before = null } = {}) {
+  return dbTx("sessions", "readonly", (tx) => {
+    const store = tx.objectStore("sessions");
+    if (profile != null) {
+      return reqDone(store.index("profile_startAt").getAll(IDBKeyRange.bound([profile, after || ""], [profile, before || "\uffff"], false, true)));
+    }
+    const range = after && before ? IDBKeyRange.bound(after, before, false, true)
+      : after ? IDBKeyRange.lowerBound(after)
+      : before ? IDBKeyRange.upperBound(before, true)
+      : null;
+    return reqDone(store.index("startAt").getAll(range));
+  });
+}
+
+function dbClearSessions() {
+  return dbTx("sessions", "readwrite", (tx) => reqDone(tx.objectStore("sessions").clear()));
+}
+
+// --------------------------- Channels ---------------------------
+// channelId -> cached row, for the ids that have one
+function dbGetChannels(channelIds) {
+  return dbTx("channels", "readonly", async (tx) => {
+    const store = tx.objectStore("channels");
+    const out = new Map();
+    for (const id of channelIds) {
+      const row = await reqDone(store.get(id));
+      if (row) out.set(id, row);
+    }
+    return out;
+  });
+}
+
+function dbPutChannels(rows) {
+  return dbTx("channels", "readwrite", (tx) => {
+    const store = tx.objectStore("channels");
+    for (const row of rows) store.put(row);
+  });
+}
@@ -0,0 +1,239 @@
+// export.js — the export schema (field list, types, version) and the writers for each export format:
+// CSV, NDJSON, per-day JSON, Markdown and iCalendar (sessions). Pure functions over entries; the popup's
+// export dialog picks the rows and fields. EXPORT_SCHEMA.md documents the same schema for people.
+
+// Bump when a field changes meaning or type, or is removed; adding fields doesn't need a bump
+const EXPORT_SCHEMA_VERSION = 2;
+
+// Always exported: the importer and downstream scripts key on them
+const EXPORT_REQUIRED_FIELDS = ["watchedAt", "profile", "videoId"];
+
+// type: string | number | boolean | datetime | string[] | object | array; `def` = selected by default
+const EXPORT_FIELDS = [
+  { key: "watchedAt", group: "Watch", type: "datetime", def: true, desc: "When the video was opened (ISO 8601, UTC)" },
+  { key: "profile", group: "Watch", type: "string", def: true, desc: "Profile the watch was logged under" },
+  { key: "videoId", group: "Watch", type: "string", def: true, desc: "YouTube video id" },
+  { key: "url", group: "Watch", type: "string", def: true, desc: "URL the video was opened at" },
+  { key: "viewId", group: "Watch", type: "string", def: false, desc: "Id of the page view that logged the entry" },
+
+  { key: "title", group: "Video", type: "string", def: true, desc: "Video title" },
+  { key: "description", group: "Video", type: "string", def: false, desc: "Video description" },
+  { key: "channelId", group: "Video", type: "string", def: true, desc: "Channel id (UC…)" },
+  { key: "channelTitle", group: "Video", type: "string", def: true, desc: "Channel name" },
+  { key: "publishedAt", group: "Video", type: "datetime", def: false, desc: "When the video was published" },
+  { key: "durationSeconds", group: "Video", type: "number", def: true, desc: "Video length in seconds" },
+  { key: "isShorts", group: "Video", type: "boolean", def: true, desc: "Watched as a Short" },
+  { key: "liveContent", group: "Video", type: "string", def: false, desc: "none | live | upcoming" },
+  { key: "categoryId", group: "Video", type: "string", def: false, desc: "YouTube category id" },
+  { key: "categoryName", group: "Video", type: "string", def: true, desc: "YouTube category name" },
+  { key: "tags", group: "Video", type: "string[]", def: false, desc: "Uploader's tags" },
+  { key: "topicCategories", group: "Video", type: "string[]", def: false, desc: "Wikipedia topic URLs" },
+  { key: "defaultLanguage", group: "Video", type: "string", def: false, desc: "Language of title/description" },
+  { key: "defaultAudioLanguage", group: "Video", type: "string", def: false, desc: "Audio language" },
+  { key: "caption", group: "Video", type: "boolean", def: false, desc: "Captions available" },
+  { key: "madeForKids", group: "Video", type: "boolean", def: true, desc: "Marked made for kids" },
+  { key: "regionRestriction", group: "Video", type: "object", def: false, desc: "{ allowed?: [country], blocked?: [country] }" },
+  { key: "contentRating", group: "Video", type: "object", def: false, desc: "YouTube content rating, e.g. { ytRating: \"ytAgeRestricted\" }" },
+  { key: "thumbnails", group: "Video", type: "object", def: false, desc: "{ default|medium|high|…: { url, width, height } }" },
+  { key: "viewCount", group: "Video", type: "number", def: false, desc: "Views when the metadata was fetched" },
+  { key: "likeCount", group: "Video", type: "number", def: false, desc: "Likes when the metadata was fetched" },
+  { key: "commentCount", group: "Video", type: "number", def: false, desc: "Comments when the metadata was fetched" },
+  { key: "channelExtra", group: "Video", type: "object", def: false, desc: "Channel details: customUrl, channelCountry, subscriberCount, …" },
+  { key: "enrichment", group: "Video", type: "string", def: false, desc: "Metadata state: pending | done | unavailable" },
+  { key: "metaProvider", group: "Video", type: "string", def: false, desc: "Source that filled the metadata" },
+
+  { key: "availability", group: "Current state", type: "string", def: true, desc: "available | removed | private, as of refreshedAt" },
+  { key: "ageRestricted", group: "Current state", type: "boolean", def: true, desc: "Age-restricted as of refreshedAt" },
+  { key: "regionBlocked", group: "Current state", type: "boolean", def: true, desc: "Blocked in the browser's region as of refreshedAt" },
+  { key: "refreshedAt", group: "Current state", type: "datetime", def: false, desc: "When the metadata was last checked" },
+  { key: "current", group: "Current state", type: "object", def: false, desc: "Latest metadata: { title, channelTitle, viewCount, likeCount, commentCount, madeForKids, contentRating, regionRestriction, provider, refreshedAt }; the top-level fields keep the values from watch time" },
+
+  { key: "surface", group: "Navigation", type: "string", def: true, desc: "Where it was played: watch | shorts | live | miniplayer | mobile | music | embed" },
+  { key: "navSource", group: "Navigation", type: "string", def: true, desc: "How the video was reached (search, home, autoplay, …)" },
+  { key: "searchQuery", group: "Navigation", type: "string", def: false, desc: "Search that led to the video" },
+  { key: "playlistId", group: "Navigation", type: "string", def: false, desc: "Playlist the video was played from" },
+  { key: "playlistIndex", group: "Navigation", type: "number", def: false, desc: "Position in that playlist" },
+  { key: "sourceChannel", group: "Navigation", type: "string", def: false, desc: "Channel page the video was opened from" },
+  { key: "referrer", group: "Navigation", type: "string", def: false, desc: "Previous page URL" },
+  { key: "startOffsetSeconds", group: "Navigation", type: "number", def: false, desc: "Start time from the URL (?t=)" },
+  { key: "pageTitle", group: "Navigation", type: "string", def: false, desc: "Browser tab title while watching" },
+
+  { key: "watchedSeconds", group: "Playback", type: "number", def: true, desc: "Seconds actually played (first view)" },
+  { key: "maxPositionSeconds", group: "Playback", type: "number", def: false, desc: "Furthest position reached" },
+  { key: "completionPct", group: "Playback", type: "number", def: true, desc: "watchedSeconds as % of the length" },
+  { key: "ended", group: "Playback", type: "boolean", def: false, desc: "Played to the end" },
+  { key: "autoplayedNext", group: "Playback", type: "boolean", def: false, desc: "Autoplay moved on to another video" },
+  { key: "playbackRate", group: "Playback", type: "number", def: false, desc: "Last playback speed" },
+  { key: "pauseCount", group: "Playback", type: "number", def: false, desc: "Pauses" },
+  { key: "seekCount", group: "Playback", type: "number", def: false, desc: "Seeks" },
+  { key: "bufferingCount", group: "Playback", type: "number", def: false, desc: "Buffering stalls" },
+  { key: "bufferingSeconds", group: "Playback", type: "number", def: false, desc: "Time spent buffering" },
+  { key: "rewatchCount", group: "Playback", type: "number", def: false, desc: "Repeat views folded into this entry" },
+  { key: "lastWatchedAt", group: "Playback", type: "datetime", def: false, desc: "Latest repeat view" },
+  { key: "rewatches", group: "Playback", type: "array", def: false, desc: "Repeat views: [{ viewId, watchedAt, navSource, surface, watchedSeconds, completionPct, ended }]" },
+
+  { key: "favorite", group: "Notes", type: "boolean", def: true, desc: "Marked as a favorite" },
+  { key: "rating", group: "Notes", type: "number", def: true, desc: "Star rating, 1–5" },
+  { key: "labels", group: "Notes", type: "string[]", def: true, desc: "Custom labels" },
+  { key: "note", group: "Notes", type: "string", def: true, desc: "Free-text note" },
+  { key: "editedAt", group: "Notes", type: "datetime", def: false, desc: "Last edit from the popup (note, rating, favorite, labels, profile)" },
+
+  { key: "blocked", group: "Other", type: "object", def: true, desc: "Set when parental controls blocked the video: { reason, message }" },
+  { key: "flagSeverity", group: "Other", type: "string", def: true, desc: "Highest severity among the flags: low | medium | high" },
+  { key: "flags", group: "Other", type: "array", def: false, desc: "Flag rules the entry matched: [{ ruleId, name, severity, reason }]" },
+  { key: "importedFrom", group: "Other", type: "string", def: false, desc: "Import format the entry came from" },
+  { key: "importedAt", group: "Other", type: "datetime", def: false, desc: "When it was imported" },
+  { key: "chainSeq", group: "Other", type: "number", def: false, desc: "Tamper-evidence chain position" },
+  { key: "chainHash", group: "Other", type: "string", def: false, desc: "Tamper-evidence hash" },
+];
+
+const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", mime: "text/csv;charset=utf-8" },
+  ndjson: { label: "NDJSON (one entry per line)", ext: "ndjson", mime: "application/x-ndjson;charset=utf-8" },
+  json: { label: "JSON by day", ext: "json", mime: "application/json;charset=utf-8" },
+  markdown: { label: "Markdown tables", ext: "md", mime: "text/markdown;charset=utf-8" },
+  ics: { label: "iCalendar (sessions)", ext: "ics", mime: "text/calendar;charset=utf-8" },
+};
+
+function defaultExportFields() {
+  return EXPORT_FIELDS.filter(f => f.def).map(f => f.key);
+}
+
+// Known keys only, in schema order, with the required ones always present
+function normalizeExportFields(keys) {
+  const want = new Set([...EXPORT_REQUIRED_FIELDS, ...(Array.isArray(keys) ? keys : defaultExportFields())]);
+  return EXPORT_FIELDS.filter(f => want.has(f.key)).map(f => f.key);
+}
+
+// Missing values are null so every record has the same keys
+function pickExportFields(r, keys) {
+  const out = {};
+  for (const k of keys) out[k] = r[k] ?? null;
+  return out;
+}
+
+// Machine-readable version of the schema, for downstream scripts
+function exportSchemaDocument() {
+  return {
+    type: "ytl-export-schema",
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    required: EXPORT_REQUIRED_FIELDS,
+    fields: EXPORT_FIELDS.map(({ key, group, type, desc }) => ({ name: key, group, type, description: desc })),
+  };
+}
+
+// ---------- CSV ----------
+// Columns are entry field names; string[] joins with "|", objects/arrays are JSON
+function csvCell(value, type) {
+  if (value == null) return "";
+  if (type === "string[]") return Array.isArray(value) ? value.join("|") : String(value);
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function toCsvExport(rows, keys) {
+  const types = new Map(EXPORT_FIELDS.map(f => [f.key, f.type]));
+  const esc = (s) => '"' + s.replaceAll('"', '""') + '"';
+  const lines = [keys.join(",")];
+  for (const r of rows) lines.push(keys.map(k => esc(csvCell(r[k], types.get(k)))).join(","));
+  return lines.join("\n");
+}
+
+// ---------- NDJSON ----------
+function toNdjsonExport(rows, keys) {
+  return rows.map(r => JSON.stringify(pickExportFields(r, keys))).join("\n") + (rows.length ? "\n" : "");
+}
+
+// ---------- JSON by day ----------
+// schemaVersion 2 layout: { dailyLogs: { "YYYY-MM-DD" (UTC): [entry] } } plus whatever `extra` carries
+function toDailyJsonExport(rows, keys, extra = {}) {
+  const dailyLogs = {};
+  for (const r of rows) {
+    const d = new Date(r.watchedAt);
+    const day = isNaN(+d) ? "unknown" : d.toISOString().slice(0, 10);
+    (dailyLogs[day] ||= []).push(pickExportFields(r, keys));
+  }
+  return JSON.stringify({
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    fields: keys,
+    profiles: [...new Set(rows.map(r => r.profile))],
+    dailyLogs,
+    ...extra,
+  }, null, 2);
+}
+
+// ---------- Markdown ----------
+function markdownCell(value, type) {
+  return csvCell(value, type).replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+// One table per local day, newest day first
+function toMarkdownExport(rows, keys, { title = "YouTube watch log" } = {}) {
+  const types = new Map(EXPORT_FIELDS.map(f => [f.key, f.type]));
+  const byDay = new Map();
+  for (const r of rows) {
+    const key = localDayKey(new Date(r.watchedAt));
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(r);
+  }
+  const out = [`# ${title}`, "", `Schema version ${EXPORT_SCHEMA_VERSION} · ${rows.length} entries · generated ${new Date().toISOString()}`, ""];
+  for (const day of [...byDay.keys()].sort().reverse()) {
+    out.push(`## ${day}`, "", `| ${keys.join(" | ")} |`, `|${keys.map(() => " --- ").join("|")}|`);
+    for (const r of byDay.get(day)) out.push(`| ${keys.map(k => markdownCell(r[k], types.get(k))).join(" | ")} |`);
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+// ---------- iCalendar ----------
+function icsText(s) {
+  return String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+// sessions: sessionSummary() shapes; one VEVENT each
+function toIcsExport(sessions, { profileName = (p) => p } = {}) {
+  const stamp = icsTime(new Date().toISOString());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//YouTube Watch Logger//Sessions//EN", "CALSCALE:GREGORIAN", "X-WR-CALNAME:YouTube viewing sessions"];
+  for (const s of sessions) {
+    const minutes = Math.round(s.totalSeconds / 60);
+    const channels = s.topChannels.map(c => c.title).filter(Boolean).join(", ");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsText(s.id)}@ytl`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTime(s.startAt)}`,
+      `DTEND:${icsTime(s.endAt > s.startAt ? s.endAt : s.lastWatchedAt)}`,
+      `SUMMARY:${icsText(`YouTube — ${profileName(s.profile)}: ${s.count} video${s.count === 1 ? "" : "s"}, ${minutes} min`)}`,
+      `DESCRIPTION:${icsText(`${Math.round(s.shortsRatio * 100)}% Shorts${channels ? `\nChannels: ${channels}` : ""}`)}`,
+      `CATEGORIES:${icsText(s.profile)}`,
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
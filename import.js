@@ -0,0 +1,242 @@
+// import.js — parses our own JSON/NDJSON/CSV exports and Google Takeout watch history into entry records,
+// then plans an import (new / duplicate / conflict) against the existing log. Used by the Options page.
+
+// ---------- Format detection ----------
+function detectImportFormat(name, text) {
+  const head = text.slice(0, 2000).trimStart();
+  if (/\.html?$/i.test(name) || head.startsWith("<")) return "takeout-html";
+  if (/\.ndjson$/i.test(name)) return "ytl-ndjson";
+  if (head.startsWith("{") || head.startsWith("[")) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data) && data.some(x => x && typeof x.titleUrl === "string" && "time" in x)) return "takeout-json";
+      if (data?.videoId) return "ytl-ndjson"; // a single-line NDJSON export
+      return "ytl-json";
+    } catch {
+      // NDJSON: one entry object per line
+      try {
+        return JSON.parse(head.split("\n", 1)[0])?.videoId ? "ytl-ndjson" : "unknown";
+      } catch {
+        return "unknown";
+      }
+    }
+  }
+  if (/^"?watchedAt"?,/.test(head)) return "ytl-csv";
+  return "unknown";
+}
+
+function videoIdFromUrl(url) {
+  try {
+    const u = new URL(url);
+    if (u.searchParams.get("v")) return u.searchParams.get("v");
+    const m = u.pathname.match(/\/(?:shorts|embed|live)\/([a-zA-Z0-9_-]{6,})/) || (u.hostname === "youtu.be" && u.pathname.match(/^\/([a-zA-Z0-9_-]{6,})/));
+    return m ? m[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+function channelIdFromUrl(url) {
+  const m = String(url || "").match(/\/channel\/(UC[a-zA-Z0-9_-]+)/);
+  return m ? m[1] : null;
+}
+
+// ---------- Our own exports ----------
+// schemaVersion 2: { dailyLogs: { day: [entry] } }; older/raw exports: [entry]
+function parseYtlJson(text) {
+  const data = JSON.parse(text);
+  let rows = [];
+  if (Array.isArray(data)) rows = data;
+  else if (data && typeof data.dailyLogs === "object") rows = Object.values(data.dailyLogs).flat();
+  else if (data && Array.isArray(data.entries)) rows = data.entries;
+  return ytlRecords(rows);
+}
+
+// Exported fields may be a subset; entries without a title get their metadata fetched again
+function ytlRecords(rows) {
+  return rows
+    .map(r => (r && typeof r === "object" ? r : {})) // kept so parseImportFile counts them as skipped
+    .map(({ id, viewId, rewatchViewIds, ...r }) => ({ ...r, enrichment: r.title ? (r.enrichment || "done") : "pending" }));
+}
+
+function parseYtlNdjson(text) {
+  return ytlRecords(text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line)));
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], field = "", inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.length > 1 || r[0]);
+}
+
+const CSV_NUMBER_FIELDS = new Set(["rewatchCount", "durationSeconds", "viewCount", "likeCount", "commentCount", "watchedSeconds", "maxPositionSeconds", "completionPct", "playbackRate", "playlistIndex", "startOffsetSeconds", "pauseCount", "seekCount", "bufferingCount", "bufferingSeconds", "rating"]);
+const CSV_BOOL_FIELDS = new Set(["isShorts", "caption", "madeForKids", "ended", "autoplayedNext", "ageRestricted", "regionBlocked", "favorite"]);
+const CSV_LIST_FIELDS = new Set(["tags", "topicCategories", "labels"]);
+// Object/array columns are JSON in exports (see export.js)
+const CSV_JSON_FIELDS = new Set(["regionRestriction", "contentRating", "thumbnails", "channelExtra", "rewatches", "blocked", "current", "flags"]);
+// Tamper-evidence fields belong to the log that wrote them; imports are chained afresh
+const CSV_SKIP_FIELDS = new Set(["chainSeq", "chainPrev", "chainHash", "viewId"]);
+
+function parseYtlCsv(text) {
+  const [header, ...lines] = parseCsvRows(text);
+  if (!header) return [];
+  return lines.map((cols) => {
+    const r = {};
+    header.forEach((h, i) => {
+      const v = cols[i] ?? "";
+      if (v === "" || CSV_SKIP_FIELDS.has(h)) return;
+      if (CSV_LIST_FIELDS.has(h)) r[h] = v.split("|").filter(Boolean);
+      else if (CSV_JSON_FIELDS.has(h)) {
+        try { r[h] = JSON.parse(v); } catch {}
+      }
+      else if (CSV_NUMBER_FIELDS.has(h)) r[h] = Number(v);
+      else if (CSV_BOOL_FIELDS.has(h)) r[h] = v === "true";
+      else if (h === "blockedReason") r.blocked = { ...(r.blocked || {}), reason: v };
+      else if (h === "blockedMessage") r.blocked = { ...(r.blocked || {}), message: v };
+      else r[h] = v;
+    });
+    // CSV drops thumbnails/channelId etc.; let enrichment refill the video metadata
+    return { ...r, enrichment: "pending" };
+  });
+}
+
+// ---------- Google Takeout ----------
+// watch-history.json: [{ title: "Watched X", titleUrl, subtitles: [{ name, url }], time, details? }]
+function parseTakeoutJson(text) {
+  const out = [];
+  for (const item of JSON.parse(text)) {
+    if (!item || !item.titleUrl || !item.time) continue;
+    if ((item.details || []).some(d => /google ads/i.test(d.name || ""))) continue; // "From Google Ads"
+    const videoId = videoIdFromUrl(item.titleUrl);
+    if (!videoId) continue;
+    const watchedAt = parseTakeoutDate(item.time); // null when unreadable; parseImportFile counts the row as skipped
+    const channel = (item.subtitles || [])[0] || {};
+    out.push({
+      videoId,
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      watchedAt,
+      title: String(item.title || "").replace(/^Watched\s+/, "") || null,
+      channelTitle: channel.name || null,
+      channelId: channelIdFromUrl(channel.url),
+      enrichment: "pending",
+    });
+  }
+  return out;
+}
+
+// Takeout dates look like "Jan 5, 2024, 10:11:12 PM EST" (sometimes with a narrow no-break space)
+function parseTakeoutDate(s) {
+  if (typeof s !== "string") return null;
+  const clean = String(s || "").replace(/[\u00a0\u202f]/g, " ").trim();
+  let t = Date.parse(clean);
+  if (isNaN(t)) t = Date.parse(clean.replace(/\s+[A-Z]{2,5}$/, "")); // unknown zone abbreviation: read as local
+  return isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// watch-history.html: one .content-cell per item with the video link, the channel link and the date
+function parseTakeoutHtml(text) {
+  const doc = new DOMParser().parseFromString(text, "text/html");
+  const out = [];
+  for (const cell of doc.querySelectorAll(".content-cell")) {
+    const links = [...cell.querySelectorAll("a")];
+    const video = links.find(a => videoIdFromUrl(a.href));
+    if (!video) continue;
+    if (/From Google Ads/i.test(cell.parentElement?.textContent || "")) continue;
+    const channel = links.find(a => channelIdFromUrl(a.href));
+    const segments = [];
+    let cur = "";
+    for (const node of cell.childNodes) {
+      if (node.nodeName === "BR") { segments.push(cur.trim()); cur = ""; }
+      else cur += node.textContent;
+    }
+    segments.push(cur.trim());
+    const watchedAt = segments.filter(Boolean).map(parseTakeoutDate).filter(Boolean).pop() || null;
+    const videoId = videoIdFromUrl(video.href);
+    out.push({
+      videoId,
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      watchedAt,
+      title: video.textContent.trim() || null,
+      channelTitle: channel?.textContent.trim() || null,
+      channelId: channel ? channelIdFromUrl(channel.href) : null,
+      enrichment: "pending",
+    });
+  }
+  return out;
+}
+
+function parseImportFile(name, text) {
+  const format = detectImportFormat(name, text);
+  const parsers = {
+    "ytl-json": parseYtlJson,
+    "ytl-csv": parseYtlCsv,
+    "ytl-ndjson": parseYtlNdjson,
+    "takeout-json": parseTakeoutJson,
+    "takeout-html": parseTakeoutHtml,
+  };
+  if (!parsers[format]) throw new Error(`${name}: unrecognized file format`);
+  // Rows without a video id or a readable watch time are dropped and counted in `skipped`
+  const records = [];
+  let skipped = 0;
+  for (const r of parsers[format](text)) {
+    const watchedAt = normalizeWatchedAt(r.watchedAt);
+    if (!r.videoId || typeof r.videoId !== "string" || !watchedAt) skipped++;
+    else records.push({ ...r, watchedAt, importedFrom: format });
+  }
+  return { format, records, skipped };
+}
+
+// ---------- Validation ----------
+// ISO string for a readable time (ISO string or epoch ms), else null
+function normalizeWatchedAt(v) {
+  const t = typeof v === "string" ? Date.parse(v.trim()) : typeof v === "number" ? v : NaN;
+  if (!Number.isFinite(t)) return null;
+  const d = new Date(t);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// ---------- Planning ----------
+/**
+ * Sorts records into new / duplicate / conflict.
+ * A record matches an existing entry (or an earlier record in the same import)
+ * when the videoId is equal and watchedAt is within `windowMinutes`.
+ * Same profile -> duplicate (skipped); different profile -> conflict (user decides).
+ * `existing` must cover the records' time span padded by the window.
+ */
+function planImport(records, existing, { windowMinutes = 30, defaultProfile } = {}) {
+  const windowMs = windowMinutes * 60000;
+  const byVideo = new Map();
+  const index = (r) => {
+    const list = byVideo.get(r.videoId) || [];
+    list.push({ profile: r.profile, t: new Date(r.watchedAt).getTime() });
+    byVideo.set(r.videoId, list);
+  };
+  existing.forEach(index);
+
+  const plan = { add: [], duplicates: [], conflicts: [] };
+  const sorted = [...records].sort((a, b) => a.watchedAt.localeCompare(b.watchedAt));
+  for (const rec of sorted) {
+    const r = { ...rec, profile: rec.profile || defaultProfile };
+    const t = new Date(r.watchedAt).getTime();
+    const near = (byVideo.get(r.videoId) || []).filter(x => Math.abs(x.t - t) <= windowMs);
+    if (near.some(x => x.profile === r.profile)) plan.duplicates.push(r);
+    else if (near.length) plan.conflicts.push(r);
+    else plan.add.push(r);
+    index(r);
+  }
+  return plan;
+}
@@ -0,0 +1,23 @@
+// offscreen.js — turns files built by the background (backups, reports) into Blob object URLs.
+// Service workers have no URL.createObjectURL, and data: URLs stop working once a file reaches a few MB.
+
+const objectUrls = new Set();
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== "offscreen") return;
+  if (msg.type === "YTL_OBJECT_URL") {
+    // { text, mime } -> { ok, url }
+    try {
+      const url = URL.createObjectURL(new Blob([msg.text], { type: msg.mime || "application/octet-stream" }));
+      objectUrls.add(url);
+      sendResponse({ ok: true, url });
+    } catch (err) {
+      sendResponse({ ok: false, error: String(err?.message || err) });
+    }
+  }
+  if (msg.type === "YTL_REVOKE_URL") {
+    URL.revokeObjectURL(msg.url);
+    objectUrls.delete(msg.url);
+    sendResponse({ ok: true, open: objectUrls.size });
+  }
+});
@@ -1,26 +1,857 @@
-// options.js — manages profile + API key in chrome.storage.sync
+// options.js — the Options page: settings, profiles, parental controls, security and history import
 
 function loadCfg() {
-  chrome.storage.sync.get({ apiKey: "", profile: "Child" }, ({ apiKey, profile }) => {
+  chrome.storage.sync.get({ apiKey: "", quotaDailyLimit: 9000 }, ({ apiKey, quotaDailyLimit }) => {
     document.getElementById("apiKey").value = apiKey || "";
-    document.getElementById("profile").value = profile || "Child";
+    document.getElementById("quotaDailyLimit").value = quotaDailyLimit;
   });
 }
 
-function saveCfg() {
+function loadQuotaStatus() {
+  chrome.runtime.sendMessage({ type: "YTL_ENRICH_STATUS" }, (res) => {
+    const el = document.getElementById("quotaStatus");
+    if (!res?.ok || !el) return;
+    const { queued, quota, quotaDailyLimit } = res;
+    el.textContent = `API quota used today: ${quota.units} / ${quotaDailyLimit} units` +
+      (quota.exhausted ? " (exhausted)" : "") +
+      ` · ${queued} video${queued === 1 ? "" : "s"} waiting for metadata`;
+  });
+}
+
+// ---------- Metadata providers ----------
+let providerDraft = [];
+
+function renderProviders() {
+  const root = document.getElementById("providers");
+  root.innerHTML = "";
+  providerDraft.forEach((p, i) => {
+    const info = META_PROVIDERS.find(x => x.id === p.id);
+    const row = document.createElement("div");
+    row.className = "provider-row";
+
+    const chk = document.createElement("input");
+    chk.type = "checkbox";
+    chk.checked = p.enabled;
+    chk.addEventListener("change", () => { p.enabled = chk.checked; });
+
+    const text = document.createElement("div");
+    const name = document.createElement("strong");
+    name.textContent = `${i + 1}. ${info.label}`;
+    const desc = document.createElement("div");
+    desc.className = "note";
+    desc.textContent = info.description + (info.needs ? ` Needs: ${info.needs}.` : "");
+    text.append(name, desc);
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    for (const [label, delta] of [["↑", -1], ["↓", 1]]) {
+      const b = document.createElement("button");
+      b.textContent = label;
+      b.disabled = !providerDraft[i + delta];
+      b.addEventListener("click", () => {
+        [providerDraft[i], providerDraft[i + delta]] = [providerDraft[i + delta], providerDraft[i]];
+        renderProviders();
+      });
+      actions.appendChild(b);
+    }
+    row.append(chk, text, actions);
+    root.appendChild(row);
+  });
+}
+
+async function loadProviders() {
+  const { order, instanceEndpoint } = await getProviderConfig();
+  providerDraft = order;
+  document.getElementById("instanceEndpoint").value = instanceEndpoint;
+  chrome.storage.sync.get({ refreshDays: 30 }, ({ refreshDays }) => {
+    document.getElementById("refreshDays").value = refreshDays;
+  });
+  renderProviders();
+}
+
+async function saveProvidersUi() {
+  const instanceEndpoint = document.getElementById("instanceEndpoint").value.trim();
+  if (instanceEndpoint) {
+    let origin;
+    try {
+      origin = new URL(instanceVideoUrl(instanceEndpoint, "x")).origin;
+    } catch {
+      return flash("providersStatus", "That endpoint isn't a valid URL.", "err");
+    }
+    // Cross-origin fetches from the background need the host granted (must ask from a click)
+    const granted = await new Promise((resolve) => chrome.permissions.request({ origins: [`${origin}/*`] }, resolve));
+    if (!granted) return flash("providersStatus", `Access to ${origin} was not granted.`, "err");
+  }
+  if (providerDraft.some(p => p.id === "instance" && p.enabled) && !instanceEndpoint) {
+    return flash("providersStatus", "Set an endpoint to use an Invidious / Piped instance.", "err");
+  }
+  if (!(await saveVia({ type: "YTL_SAVE_PROVIDERS", order: providerDraft, instanceEndpoint }, "providersStatus"))) return;
+  const refreshDays = Math.max(0, parseInt(document.getElementById("refreshDays").value, 10) || 0);
+  if (!(await saveVia({ type: "YTL_SAVE_SETTINGS", sync: { refreshDays } }, "providersStatus"))) return;
+  flash("providersStatus", "Saved.");
+}
+
+function flash(id, text, cls = "ok") {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.classList.remove("ok", "err");
+  el.classList.add(cls);
+  setTimeout(() => { el.textContent = ""; el.classList.remove(cls); }, cls === "err" ? 4000 : 1500);
+}
+
+// Settings are written by the background, which checks the PIN; failures are shown in `statusId`
+async function saveVia(msg, statusId) {
+  const res = await sendMessage(msg);
+  if (!res.ok) flash(statusId, res.error || "Couldn't save.", "err");
+  return res.ok;
+}
+
+async function saveCfg() {
   const apiKey = document.getElementById("apiKey").value.trim();
-  const profile = document.getElementById("profile").value.trim() || "Child";
-  chrome.storage.sync.set({ apiKey, profile }, () => {
-    // Inform background (optional)
-    chrome.runtime.sendMessage({ type: "YTL_SET_CONFIG", apiKey, profile }, () => {});
-    const el = document.getElementById("status");
-    el.textContent = "Saved.";
-    el.classList.add("ok");
-    setTimeout(() => { el.textContent = ""; el.classList.remove("ok"); }, 1500);
+  const quotaDailyLimit = Math.max(0, parseInt(document.getElementById("quotaDailyLimit").value, 10) || 9000);
+  if (!(await saveVia({ type: "YTL_SAVE_SETTINGS", sync: { apiKey, quotaDailyLimit } }, "status"))) return;
+  flash("status", "Saved.");
+  loadQuotaStatus();
+}
+
+// ---------- Profiles ----------
+async function renderProfiles() {
+  const root = document.getElementById("profiles");
+  const { profiles, active } = await getProfiles();
+  // Names that only exist on logged entries (e.g. from before profiles were managed)
+  const logged = await dbListProfiles().catch(() => []);
+  const unmanaged = logged.filter(name => !findProfile(profiles, name));
+  const all = [...profiles, ...unmanaged.map((name, i) => ({ ...makeProfile(name, profiles.length + i), unmanaged: true }))];
+
+  root.innerHTML = "";
+  for (const p of all) {
+    const row = document.createElement("div");
+    row.className = "profile-row";
+    const others = all.filter(o => o.name !== p.name);
+    row.innerHTML = `
+      <input type="radio" name="activeProfile" title="Active profile" ${p.name === active ? "checked" : ""} />
+      <input type="color" title="Color" />
+      <input class="avatar" maxlength="4" placeholder="🙂" title="Avatar (emoji or initials)" />
+      <span></span>
+      <div class="actions">
+        <button data-act="rename">Rename</button>
+        <select data-act="mergeTarget" ${others.length ? "" : "disabled"}>
+          <option value="">Merge into…</option>
+          ${others.map(() => "<option></option>").join("")}
+        </select>
+        <button data-act="remove" ${p.name === active ? "disabled" : ""}>Remove</button>
+      </div>
+    `;
+    // user-provided strings go through textContent/value, never innerHTML
+    row.querySelector("input[type=color]").value = p.color; // normalizeProfiles keeps only #rrggbb
+    row.querySelector(".avatar").value = p.avatar || "";
+    row.querySelector("span").textContent = p.unmanaged ? `${p.name} (from log)` : p.name;
+    [...row.querySelectorAll("select option")].slice(1).forEach((opt, i) => {
+      opt.value = others[i].name;
+      opt.textContent = others[i].name;
+    });
+
+    row.querySelector("input[type=radio]").addEventListener("change", () => updateProfile(p.name, {}, { makeActive: true }));
+    row.querySelector("input[type=color]").addEventListener("change", (e) => updateProfile(p.name, { color: e.target.value }));
+    row.querySelector(".avatar").addEventListener("change", (e) => updateProfile(p.name, { avatar: e.target.value.trim() }));
+    row.querySelector("[data-act=rename]").addEventListener("click", () => renameProfileUi(p.name));
+    row.querySelector("[data-act=mergeTarget]").addEventListener("change", (e) => {
+      if (e.target.value) mergeProfileUi(p.name, e.target.value);
+    });
+    row.querySelector("[data-act=remove]").addEventListener("click", () => removeProfile(p.name));
+    root.appendChild(row);
+  }
+}
+
+async function updateProfile(name, patch, { makeActive = false } = {}) {
+  const { profiles, active } = await getProfiles();
+  const list = findProfile(profiles, name) ? profiles : [...profiles, makeProfile(name, profiles.length)];
+  const saved = await saveVia({ type: "YTL_SAVE_PROFILES", profiles: list.map(p => (p.name === name ? { ...p, ...patch } : p)), active: makeActive ? name : active }, "profileStatus");
+  if (!saved) return renderProfiles();
+  flash("profileStatus", makeActive ? `Now logging as ${name}.` : "Saved.");
+  renderProfiles();
+}
+
+async function addProfile() {
+  const input = document.getElementById("newProfile");
+  const name = input.value.trim();
+  if (!name) return;
+  const { profiles, active } = await getProfiles();
+  if (findProfile(profiles, name)) return flash("profileStatus", `"${name}" already exists.`, "err");
+  if (!(await saveVia({ type: "YTL_SAVE_PROFILES", profiles: [...profiles, makeProfile(name, profiles.length)], active }, "profileStatus"))) return;
+  input.value = "";
+  renderProfiles();
+}
+
+async function removeProfile(name) {
+  if (!confirm(`Remove profile "${name}" from the list? Its logged entries are kept.`)) return;
+  const { profiles, active } = await getProfiles();
+  await saveVia({ type: "YTL_SAVE_PROFILES", profiles: profiles.filter(p => p.name !== name), active }, "profileStatus");
+  renderProfiles();
+}
+
+function renameProfileUi(from) {
+  const to = prompt(`Rename profile "${from}" to:`, from)?.trim();
+  if (!to || to === from) return;
+  chrome.runtime.sendMessage({ type: "YTL_RENAME_PROFILE", from, to }, (res) => {
+    if (!res?.ok) return flash("profileStatus", res?.error || "Rename failed.", "err");
+    flash("profileStatus", `Renamed; ${res.changed} entries updated.`);
+    renderProfiles();
+  });
+}
+
+function mergeProfileUi(from, into) {
+  if (!confirm(`Merge "${from}" into "${into}"? All of "${from}"'s entries will move to "${into}".`)) return renderProfiles();
+  chrome.runtime.sendMessage({ type: "YTL_MERGE_PROFILES", from: [from], into }, (res) => {
+    if (!res?.ok) return flash("profileStatus", res?.error || "Merge failed.", "err");
+    flash("profileStatus", `Merged; ${res.changed} entries moved.`);
+    renderProfiles();
+  });
+}
+
+// ---------- Parental controls ----------
+const lines = (id) => document.getElementById(id).value.split("\n").map(s => s.trim()).filter(Boolean);
+
+async function renderControlsProfiles() {
+  const sel = document.getElementById("ctlProfile");
+  const { profiles, active } = await getProfiles();
+  const previous = sel.value;
+  const current = previous || active;
+  sel.innerHTML = "";
+  for (const p of profiles) {
+    const opt = document.createElement("option");
+    opt.value = p.name;
+    opt.textContent = profileLabel(profiles, p.name);
+    sel.appendChild(opt);
+  }
+  sel.value = findProfile(profiles, current) ? current : active;
+  // don't discard unsaved edits when only another profile's color/avatar changed
+  if (sel.value !== previous) loadControls();
+}
+
+async function loadControls() {
+  const c = await getControls(document.getElementById("ctlProfile").value);
+  document.getElementById("ctlEnabled").checked = c.enabled;
+  document.getElementById("ctlFields").disabled = !c.enabled;
+  document.getElementById("ctlAllowChannels").value = c.allowChannels.join("\n");
+  document.getElementById("ctlBlockChannels").value = c.blockChannels.join("\n");
+  document.getElementById("ctlAllowCategories").value = c.allowCategories.join("\n");
+  document.getElementById("ctlBlockCategories").value = c.blockCategories.join("\n");
+  document.getElementById("ctlBlockKeywords").value = c.blockKeywords.join("\n");
+  document.getElementById("ctlDailyLimit").value = c.dailyLimitMinutes;
+  document.getElementById("ctlShortsLimit").value = c.shortsLimitMinutes;
+  document.getElementById("ctlNotForKids").checked = c.blockNotForKids;
+  document.getElementById("ctlAgeRestricted").checked = c.blockAgeRestricted;
+  document.getElementById("ctlUnknown").checked = c.blockUnknown;
+}
+
+async function saveControlsUi() {
+  const profile = document.getElementById("ctlProfile").value;
+  if (!profile) return;
+  const saved = await saveVia({ type: "YTL_SAVE_CONTROLS", profile, controls: {
+    enabled: document.getElementById("ctlEnabled").checked,
+    allowChannels: lines("ctlAllowChannels"),
+    blockChannels: lines("ctlBlockChannels"),
+    allowCategories: lines("ctlAllowCategories"),
+    blockCategories: lines("ctlBlockCategories"),
+    blockKeywords: lines("ctlBlockKeywords"),
+    dailyLimitMinutes: document.getElementById("ctlDailyLimit").value,
+    shortsLimitMinutes: document.getElementById("ctlShortsLimit").value,
+    blockNotForKids: document.getElementById("ctlNotForKids").checked,
+    blockAgeRestricted: document.getElementById("ctlAgeRestricted").checked,
+    blockUnknown: document.getElementById("ctlUnknown").checked,
+  } }, "ctlStatus");
+  if (!saved) return;
+  flash("ctlStatus", `Saved controls for ${profile}.`);
+}
+
+// ---------- Flag rules ----------
+let ruleDraft = [];
+let ruleProfiles = [];
+
+function ruleInput(value, onInput, placeholder = "") {
+  const input = document.createElement("input");
+  input.value = value;
+  input.placeholder = placeholder;
+  input.addEventListener("input", () => onInput(input.value));
+  return input;
+}
+
+function ruleSelect(options, value, onChange) {
+  const sel = document.createElement("select");
+  for (const [v, label] of options) sel.add(new Option(label, v));
+  sel.value = value;
+  sel.addEventListener("change", () => onChange(sel.value));
+  return sel;
+}
+
+function ruleCheckbox(label, checked, onChange) {
+  const wrap = document.createElement("label");
+  wrap.className = "chk";
+  const chk = document.createElement("input");
+  chk.type = "checkbox";
+  chk.checked = checked;
+  chk.addEventListener("change", () => onChange(chk.checked));
+  wrap.append(chk, ` ${label}`);
+  return wrap;
+}
+
+function ruleButton(label, onClick) {
+  const b = document.createElement("button");
+  b.textContent = label;
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+function renderConditionRow(rule, c) {
+  const row = document.createElement("div");
+  row.className = "row";
+  const value = ruleInput(c.value, (v) => { c.value = v; }, "comma-separated");
+  const syncValue = () => { value.hidden = !FLAG_CONDITIONS.find(d => d.type === c.type)?.list; };
+  const type = ruleSelect(FLAG_CONDITIONS.map(d => [d.type, d.label]), c.type, (v) => { c.type = v; syncValue(); });
+  syncValue();
+  const remove = ruleButton("✕", () => {
+    rule.conditions.splice(rule.conditions.indexOf(c), 1);
+    renderFlagRules();
+  });
+  remove.title = "Remove condition";
+  row.append(type, value, remove);
+  return row;
+}
+
+function renderFlagRules() {
+  const root = document.getElementById("flagRules");
+  root.innerHTML = "";
+  if (!ruleDraft.length) {
+    root.innerHTML = '<div class="note">No rules yet.</div>';
+    return;
+  }
+  for (const rule of ruleDraft) {
+    const box = document.createElement("div");
+    box.className = "rule";
+
+    const head = document.createElement("div");
+    head.className = "row";
+    head.append(
+      ruleCheckbox("On", rule.enabled, (v) => { rule.enabled = v; }),
+      ruleInput(rule.name, (v) => { rule.name = v; }, "Rule name"),
+      ruleSelect(FLAG_SEVERITIES.map(s => [s, `${s[0].toUpperCase()}${s.slice(1)} severity`]), rule.severity, (v) => { rule.severity = v; }),
+      ruleCheckbox("Notify", rule.notify, (v) => { rule.notify = v; }),
+      ruleButton("Delete", () => {
+        ruleDraft.splice(ruleDraft.indexOf(rule), 1);
+        renderFlagRules();
+      }),
+    );
+
+    const scope = document.createElement("div");
+    scope.className = "row";
+    scope.append(ruleSelect([["any", "Any condition matches"], ["all", "All conditions match"]], rule.match, (v) => { rule.match = v; }));
+    const profilesNote = document.createElement("span");
+    profilesNote.className = "note";
+    profilesNote.textContent = "Profiles (none ticked = all):";
+    scope.append(profilesNote);
+    for (const p of ruleProfiles) {
+      scope.append(ruleCheckbox(profileLabel(ruleProfiles, p.name), rule.profiles.includes(p.name), (v) => {
+        rule.profiles = v ? [...rule.profiles, p.name] : rule.profiles.filter(n => n !== p.name);
+      }));
+    }
+
+    box.append(head, scope, ...rule.conditions.map(c => renderConditionRow(rule, c)));
+    box.append(ruleButton("Add condition", () => {
+      rule.conditions.push({ type: "keyword", value: "" });
+      renderFlagRules();
+    }));
+    root.appendChild(box);
+  }
+}
+
+async function loadFlagRules() {
+  ruleProfiles = (await getProfiles()).profiles;
+  ruleDraft = await getFlagRules();
+  renderFlagRules();
+}
+
+function addFlagRule() {
+  ruleDraft.push(newFlagRule());
+  renderFlagRules();
+}
+
+async function saveFlagRulesUi() {
+  const empty = ruleDraft.find(r => !normalizeFlagRule(r).conditions.length);
+  if (empty) return flash("rulesStatus", `"${empty.name || "Unnamed rule"}" has no complete condition.`, "err");
+  if (!(await saveVia({ type: "YTL_SAVE_FLAG_RULES", rules: ruleDraft }, "rulesStatus"))) return;
+  flash("rulesStatus", "Saved. The log is being re-checked.");
+}
+
+// ---------- Logging & retention ----------
+async function renderRetention() {
+  const { profiles } = await getProfiles();
+  const { dedupWindowMinutes, rewatchMode, sessionGapMinutes, retention } = await new Promise((resolve) =>
+    chrome.storage.sync.get({ dedupWindowMinutes: 120, rewatchMode: "events", sessionGapMinutes: 30, retention: {} }, resolve));
+  document.getElementById("dedupWindowMinutes").value = dedupWindowMinutes;
+  document.getElementById("sessionGapMinutes").value = sessionGapMinutes;
+  document.getElementById("rewatchMode").value = rewatchMode;
+
+  const tbody = document.getElementById("retentionRows");
+  tbody.innerHTML = "";
+  for (const p of profiles) {
+    const rule = retention[p.name] || {};
+    const tr = document.createElement("tr");
+    tr.dataset.profile = p.name;
+    const name = document.createElement("td");
+    name.textContent = profileLabel(profiles, p.name);
+    tr.appendChild(name);
+    for (const field of ["maxAgeDays", "maxEntries"]) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.dataset.field = field;
+      input.value = rule[field] || 0;
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  renderRetentionLastRun();
+}
+
+function renderRetentionLastRun() {
+  chrome.storage.local.get({ retentionLastRun: null }, ({ retentionLastRun }) => {
+    document.getElementById("retentionLastRun").textContent = retentionLastRun
+      ? `Last pruned ${new Date(retentionLastRun.at).toLocaleString()}: ${retentionLastRun.removed} entr${retentionLastRun.removed === 1 ? "y" : "ies"} removed.`
+      : "";
+  });
+}
+
+async function saveRetentionUi() {
+  const retention = {};
+  for (const tr of document.querySelectorAll("#retentionRows tr")) {
+    const rule = {};
+    for (const input of tr.querySelectorAll("input")) rule[input.dataset.field] = Math.max(0, parseInt(input.value, 10) || 0);
+    if (rule.maxAgeDays || rule.maxEntries) retention[tr.dataset.profile] = rule;
+  }
+  const sync = {
+    dedupWindowMinutes: Math.max(0, parseInt(document.getElementById("dedupWindowMinutes").value, 10) || 0),
+    rewatchMode: document.getElementById("rewatchMode").value,
+    sessionGapMinutes: Math.max(1, parseInt(document.getElementById("sessionGapMinutes").value, 10) || 30),
+    retention,
+  };
+  if (await saveVia({ type: "YTL_SAVE_SETTINGS", sync }, "retentionStatus")) flash("retentionStatus", "Saved.");
+}
+
+function applyRetentionUi() {
+  if (!confirm("Delete entries outside the saved retention limits now?")) return;
+  chrome.runtime.sendMessage({ type: "YTL_APPLY_RETENTION" }, (res) => {
+    if (!res?.ok) return flash("retentionStatus", res?.error || "Pruning failed.", "err");
+    flash("retentionStatus", `Removed ${res.removed} entr${res.removed === 1 ? "y" : "ies"}.`);
+  });
+}
+
+// ---------- Backups ----------
+function loadBackupCfg() {
+  chrome.storage.sync.get({ backupSchedule: "off", backupKeep: 7 }, ({ backupSchedule, backupKeep }) => {
+    document.getElementById("backupSchedule").value = backupSchedule;
+    document.getElementById("backupKeep").value = backupKeep;
+  });
+}
+
+function renderBackups() {
+  chrome.storage.local.get({ backups: [] }, ({ backups }) => {
+    const tbody = document.getElementById("backupRows");
+    tbody.innerHTML = "";
+    for (const b of [...backups].reverse()) {
+      const tr = document.createElement("tr");
+      for (const text of [new Date(b.createdAt).toLocaleString(), b.kind, b.entryCount, b.filename]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  });
+}
+
+async function saveBackupCfg() {
+  const backupSchedule = document.getElementById("backupSchedule").value;
+  const backupKeep = Math.max(1, parseInt(document.getElementById("backupKeep").value, 10) || 7);
+  if (await saveVia({ type: "YTL_SAVE_SETTINGS", sync: { backupSchedule, backupKeep } }, "backupStatus")) flash("backupStatus", "Saved.");
+}
+
+function backupNow() {
+  flash("backupStatus", "Backing up…");
+  chrome.runtime.sendMessage({ type: "YTL_BACKUP_NOW" }, (res) => {
+    if (!res?.ok) return flash("backupStatus", res?.error || "Backup failed.", "err");
+    flash("backupStatus", `Saved ${res.entryCount} entries.`);
+  });
+}
+
+async function restoreFromFile() {
+  const file = document.getElementById("restoreFile").files[0];
+  if (!file) return flash("backupStatus", "Choose a backup file first.", "err");
+  let payload;
+  try {
+    payload = JSON.parse(await readFileText(file));
+  } catch {
+    return flash("backupStatus", "That file isn't valid JSON.", "err");
+  }
+  const n = Array.isArray(payload?.entries) ? payload.entries.length : 0;
+  if (!confirm(`Replace the current log with ${n} entries from this backup? A snapshot of the current log is saved first.`)) return;
+  chrome.runtime.sendMessage({ type: "YTL_RESTORE_BACKUP", payload }, (res) => {
+    if (!res?.ok) return flash("backupStatus", res?.error || "Restore failed.", "err");
+    flash("backupStatus", `Restored ${res.restored} entries.`);
+    document.getElementById("restoreFile").value = "";
+    renderProfiles();
+  });
+}
+
+// ---------- Reports ----------
+function loadReportCfg() {
+  chrome.storage.sync.get({ reportSchedule: "off" }, ({ reportSchedule }) => {
+    document.getElementById("reportSchedule").value = reportSchedule;
+  });
+}
+
+function renderReports() {
+  chrome.storage.local.get({ reports: [] }, ({ reports }) => {
+    const tbody = document.getElementById("reportRows");
+    tbody.innerHTML = "";
+    for (const r of [...reports].reverse().slice(0, 20)) {
+      const tr = document.createElement("tr");
+      for (const text of [new Date(r.createdAt).toLocaleString(), r.profile, `${r.from} – ${r.to}`, r.count, r.flagged]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  });
+}
+
+async function saveReportCfg() {
+  const sync = { reportSchedule: document.getElementById("reportSchedule").value };
+  if (await saveVia({ type: "YTL_SAVE_SETTINGS", sync }, "reportStatus")) flash("reportStatus", "Saved.");
+}
+
+function reportNow() {
+  flash("reportStatus", "Generating…");
+  chrome.runtime.sendMessage({ type: "YTL_WEEKLY_REPORT_NOW" }, (res) => {
+    if (!res?.ok) return flash("reportStatus", res?.error || "Report failed.", "err");
+    flash("reportStatus", res.written.length ? `Saved ${res.written.length} report${res.written.length === 1 ? "" : "s"}.` : "Nothing watched last week.");
+  });
+}
+
+// ---------- Webhook ----------
+function loadWebhookCfg() {
+  chrome.storage.sync.get({ webhookEnabled: false, webhookUrl: "" }, ({ webhookEnabled, webhookUrl }) => {
+    document.getElementById("webhookEnabled").checked = webhookEnabled;
+    document.getElementById("webhookUrl").value = webhookUrl;
+  });
+  chrome.storage.local.get({ webhookSecret: "" }, ({ webhookSecret }) => {
+    document.getElementById("webhookSecret").value = webhookSecret;
+  });
+}
+
+function renderWebhookStatus() {
+  chrome.storage.local.get({ webhookOutbox: [], webhookStatus: {} }, ({ webhookOutbox, webhookStatus }) => {
+    // updates carry entryIds, deletions their stubs in `deleted`
+    const waiting = webhookOutbox.reduce((n, item) => n + (item.entryIds?.length || 0) + (item.deleted?.length || 0), 0);
+    const next = webhookOutbox[0]?.nextAttemptAt;
+    const parts = [`Outbox: ${waiting} entr${waiting === 1 ? "y" : "ies"} waiting`];
+    if (next && next > Date.now()) parts.push(`next try ${new Date(next).toLocaleTimeString()}`);
+    if (webhookStatus.lastSuccessAt) parts.push(`last delivered ${new Date(webhookStatus.lastSuccessAt).toLocaleString()}`);
+    if (webhookStatus.lastError) parts.push(`last error: ${webhookStatus.lastError} (${new Date(webhookStatus.lastErrorAt).toLocaleString()})`);
+    document.getElementById("webhookStatus").textContent = parts.join(" · ");
+  });
+}
+
+async function saveWebhookCfg() {
+  const webhookEnabled = document.getElementById("webhookEnabled").checked;
+  const webhookUrl = document.getElementById("webhookUrl").value.trim();
+  const webhookSecret = document.getElementById("webhookSecret").value;
+  if (webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      return flash("webhookMsg", "That endpoint isn't a valid URL.", "err");
+    }
+    if (!/^https?:$/.test(url.protocol)) return flash("webhookMsg", "Use an http:// or https:// URL.", "err");
+    // Host permissions don't carry ports; granting the host covers every port on it
+    const granted = await new Promise((resolve) => chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] }, resolve));
+    if (!granted) return flash("webhookMsg", `Access to ${url.hostname} was not granted.`, "err");
+  } else if (webhookEnabled) {
+    return flash("webhookMsg", "Set an endpoint URL first.", "err");
+  }
+  const msg = { type: "YTL_SAVE_SETTINGS", sync: { webhookEnabled, webhookUrl }, local: { webhookSecret } };
+  if (await saveVia(msg, "webhookMsg")) flash("webhookMsg", "Saved.");
+}
+
+function webhookAction(type, done) {
+  chrome.runtime.sendMessage({ type }, (res) => {
+    if (!res?.ok) return flash("webhookMsg", res?.error || "Failed.", "err");
+    flash("webhookMsg", done(res));
   });
 }
 
+// ---------- Security ----------
+function sendMessage(msg) {
+  return new Promise((resolve) => chrome.runtime.sendMessage(msg, (res) => resolve(res || { ok: false })));
+}
+
+async function checkLock() {
+  const status = await sendMessage({ type: "YTL_LOCK_STATUS" });
+  document.getElementById("lockScreen").hidden = !!status.unlocked;
+  document.getElementById("pinState").textContent = status.enabled ? "A PIN is set." : "No PIN set — anyone using this browser can change settings.";
+  document.getElementById("pinCurrent").disabled = !status.enabled;
+  document.getElementById("pinRemove").disabled = !status.enabled;
+  document.getElementById("lockNow").disabled = !status.enabled;
+  if (!status.unlocked) document.getElementById("unlockPin").focus();
+}
+
+async function unlockUi(e) {
+  e.preventDefault();
+  const input = document.getElementById("unlockPin");
+  const res = await sendMessage({ type: "YTL_UNLOCK", pin: input.value });
+  input.value = "";
+  if (!res.ok) return flash("unlockStatus", res.error || "Wrong PIN.", "err");
+  checkLock();
+}
+
+async function savePinUi(remove) {
+  const current = document.getElementById("pinCurrent").value;
+  const pin = remove ? "" : document.getElementById("pinNew").value;
+  if (!remove && pin.length < 4) return flash("pinStatus", "Use at least 4 characters.", "err");
+  if (remove && !confirm("Remove the PIN? Settings and Clear All will be open to anyone using this browser.")) return;
+  const res = await sendMessage({ type: "YTL_SET_PIN", current, pin });
+  if (!res.ok) return flash("pinStatus", res.error || "Couldn't change the PIN.", "err");
+  document.getElementById("pinCurrent").value = "";
+  document.getElementById("pinNew").value = "";
+  flash("pinStatus", remove ? "PIN removed." : "PIN saved.");
+  checkLock();
+}
+
+async function lockNow() {
+  await sendMessage({ type: "YTL_LOCK" });
+  checkLock();
+}
+
+function renderAuditLog() {
+  chrome.storage.local.get({ auditLog: [] }, ({ auditLog }) => {
+    const tbody = document.getElementById("auditRows");
+    tbody.innerHTML = "";
+    for (const ev of [...auditLog].reverse().slice(0, 20)) {
+      const tr = document.createElement("tr");
+      const action = ev.detail?.title ? `${ev.action}: ${ev.detail.title}` : ev.action;
+      for (const text of [new Date(ev.at).toLocaleString(), action, ev.count]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  });
+}
+
+async function verifyLogUi() {
+  document.getElementById("verifyStatus").textContent = "Checking…";
+  const res = await sendMessage({ type: "YTL_VERIFY_LOG", force: true });
+  const el = document.getElementById("verifyStatus");
+  if (!res.ok) {
+    el.textContent = res.error || "Verification failed.";
+    return;
+  }
+  const v = res.result;
+  el.textContent = (v.ok ? `OK — ${v.checked} chained entries intact.` : `${v.removed} entries removed and ${v.edited} edited outside the extension.`) +
+    (v.unchained ? ` ${v.unchained} older entries predate the chain and can't be checked.` : "");
+  el.className = `note ${v.ok ? "ok" : "err"}`;
+  const tbody = document.getElementById("verifyRows");
+  tbody.innerHTML = "";
+  for (const p of v.problems) {
+    const tr = document.createElement("tr");
+    const cells = p.type === "removed"
+      ? ["Removed", `${p.fromSeq}–${p.toSeq}`, `${p.count} entr${p.count === 1 ? "y" : "ies"}${p.before ? ` before ${new Date(p.before).toLocaleString()}` : " at the end of the log"}`]
+      : ["Edited", p.seq, `${p.videoId} · ${new Date(p.watchedAt).toLocaleString()}${p.lastEdit ? ` · last changed by ${p.lastEdit.path} ${new Date(p.lastEdit.at).toLocaleString()}` : ""}`];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  document.getElementById("verifyTable").hidden = !v.problems.length;
+}
+
+// ---------- Import ----------
+let importPlan = null;
+const IMPORT_PREVIEW_ROWS = 100;
+
+async function renderImportProfiles() {
+  const sel = document.getElementById("importProfile");
+  const { profiles, active } = await getProfiles();
+  sel.innerHTML = "";
+  for (const p of profiles) {
+    const opt = document.createElement("option");
+    opt.value = p.name;
+    opt.textContent = profileLabel(profiles, p.name);
+    sel.appendChild(opt);
+  }
+  sel.value = active;
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const fr = new FileReader();
+    fr.onload = () => resolve(fr.result);
+    fr.onerror = () => reject(fr.error);
+    fr.readAsText(file);
+  });
+}
+
+async function previewImport() {
+  const files = [...document.getElementById("importFiles").files];
+  if (!files.length) return flash("importStatus", "Choose one or more files first.", "err");
+  const windowMinutes = Math.max(0, Number(document.getElementById("importWindow").value) || 0);
+  const defaultProfile = document.getElementById("importProfile").value;
+
+  const records = [];
+  const formats = [];
+  let skipped = 0;
+  try {
+    for (const f of files) {
+      const { format, records: rows, skipped: bad } = parseImportFile(f.name, await readFileText(f));
+      formats.push(`${f.name}: ${rows.length} (${format})`);
+      records.push(...rows);
+      skipped += bad;
+    }
+  } catch (err) {
+    return flash("importStatus", err.message, "err");
+  }
+  const unreadable = skipped ? `${skipped} row${skipped === 1 ? "" : "s"} without a video or a readable watch time` : "";
+  if (!records.length) return flash("importStatus", `No watch entries found in those files${unreadable ? ` (${unreadable} skipped)` : ""}.`, "err");
+
+  // Only the slice of the log the import overlaps can hold duplicates
+  let min = Infinity, max = -Infinity;
+  for (const r of records) {
+    const t = new Date(r.watchedAt).getTime();
+    if (t < min) min = t;
+    if (t > max) max = t;
+  }
+  const pad = windowMinutes * 60000;
+  const existing = await dbGetAllEntries({
+    after: new Date(min - pad).toISOString(),
+    before: new Date(max + pad + 1).toISOString(),
+  });
+  importPlan = planImport(records, existing, { windowMinutes, defaultProfile });
+
+  const { add, duplicates, conflicts } = importPlan;
+  document.getElementById("importSummary").textContent =
+    `${formats.join(" · ")} — ${add.length} new, ${duplicates.length} already logged (skipped), ${conflicts.length} conflicts` +
+    (unreadable ? `, ${unreadable} (dropped).` : ".");
+  const tbody = document.getElementById("importRows");
+  tbody.innerHTML = "";
+  const shown = [...conflicts.map(r => ["conflict", r]), ...add.map(r => ["new", r])].slice(0, IMPORT_PREVIEW_ROWS);
+  for (const [kind, r] of shown) {
+    const tr = document.createElement("tr");
+    for (const text of [kind, new Date(r.watchedAt).toLocaleString(), r.profile, r.title || r.videoId, r.importedFrom]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  document.getElementById("importConflicts").checked = false;
+  document.getElementById("importResult").hidden = false;
+}
+
+function commitImport() {
+  if (!importPlan) return;
+  const records = [...importPlan.add, ...(document.getElementById("importConflicts").checked ? importPlan.conflicts : [])];
+  if (!records.length) return flash("importStatus", "Nothing to import.", "err");
+  chrome.runtime.sendMessage({ type: "YTL_IMPORT_ENTRIES", records }, (res) => {
+    if (!res?.ok) return flash("importStatus", res?.error || "Import failed.", "err");
+    flash("importStatus", `Imported ${res.added} entries.`);
+    cancelImport();
+    renderProfiles();
+  });
+}
+
+function cancelImport() {
+  importPlan = null;
+  document.getElementById("importResult").hidden = true;
+  document.getElementById("importFiles").value = "";
+}
+
 document.addEventListener('DOMContentLoaded', () => {
+  checkLock();
+  renderAuditLog();
   loadCfg();
+  loadQuotaStatus();
+  loadProviders();
+  renderProfiles();
+  renderControlsProfiles();
+  loadFlagRules();
+  renderImportProfiles();
+  renderRetention();
+  loadBackupCfg();
+  renderBackups();
+  loadReportCfg();
+  renderReports();
+  loadWebhookCfg();
+  renderWebhookStatus();
   document.getElementById('save').addEventListener('click', saveCfg);
-});
\ No newline at end of file
+  document.getElementById('providersSave').addEventListener('click', saveProvidersUi);
+  document.getElementById('addProfile').addEventListener('click', addProfile);
+  document.getElementById('newProfile').addEventListener('keydown', (e) => { if (e.key === "Enter") addProfile(); });
+  document.getElementById('ctlProfile').addEventListener('change', loadControls);
+  document.getElementById('ctlEnabled').addEventListener('change', (e) => { document.getElementById('ctlFields').disabled = !e.target.checked; });
+  document.getElementById('ctlSave').addEventListener('click', saveControlsUi);
+  document.getElementById('ruleAdd').addEventListener('click', addFlagRule);
+  document.getElementById('rulesSave').addEventListener('click', saveFlagRulesUi);
+  document.getElementById('retentionSave').addEventListener('click', saveRetentionUi);
+  document.getElementById('retentionApply').addEventListener('click', applyRetentionUi);
+  document.getElementById('backupSave').addEventListener('click', saveBackupCfg);
+  document.getElementById('backupNow').addEventListener('click', backupNow);
+  document.getElementById('restoreGo').addEventListener('click', restoreFromFile);
+  document.getElementById('reportSave').addEventListener('click', saveReportCfg);
+  document.getElementById('reportNow').addEventListener('click', reportNow);
+  document.getElementById('webhookSave').addEventListener('click', saveWebhookCfg);
+  document.getElementById('webhookTest').addEventListener('click', () => webhookAction("YTL_WEBHOOK_TEST", () => "The endpoint accepted the test event."));
+  document.getElementById('webhookResync').addEventListener('click', () => {
+    if (!confirm("Queue the whole history for delivery to the endpoint?")) return;
+    webhookAction("YTL_WEBHOOK_RESYNC", (res) => `Queued ${res.queued} entries.`);
+  });
+  document.getElementById('webhookClear').addEventListener('click', () => {
+    if (!confirm("Drop everything still waiting in the outbox?")) return;
+    webhookAction("YTL_WEBHOOK_CLEAR_OUTBOX", () => "Outbox emptied.");
+  });
+  document.getElementById('unlockForm').addEventListener('submit', unlockUi);
+  document.getElementById('pinSave').addEventListener('click', () => savePinUi(false));
+  document.getElementById('pinRemove').addEventListener('click', () => savePinUi(true));
+  document.getElementById('lockNow').addEventListener('click', lockNow);
+  document.getElementById('verifyLog').addEventListener('click', verifyLogUi);
+  document.getElementById('importPreview').addEventListener('click', previewImport);
+  document.getElementById('importCommit').addEventListener('click', commitImport);
+  document.getElementById('importCancel').addEventListener('click', cancelImport);
+
+  // Profile list edits (add/rename/merge) change what the controls picker offers
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.backups) renderBackups();
+    if (area === "local" && changes.reports) renderReports();
+    if (area === "local" && (changes.webhookOutbox || changes.webhookStatus)) renderWebhookStatus();
+    if (area === "local" && changes.retentionLastRun) renderRetentionLastRun();
+    if (area === "local" && changes.auditLog) renderAuditLog();
+    if (area === "session" && changes.unlockedUntil) checkLock();
+    // saved here or rewritten by a profile rename/merge
+    if (area === "sync" && changes.flagRules) loadFlagRules();
+    if (area === "sync" && (changes.profiles || changes.profile)) {
+      renderControlsProfiles();
+      renderImportProfiles();
+      renderRetention();
+      // keeps unsaved rule edits; only the profile choices change
+      getProfiles().then(({ profiles }) => { ruleProfiles = profiles; renderFlagRules(); });
+    }
+  });
+  // The unlock expires silently; re-check whenever the page comes back into view
+  window.addEventListener("focus", checkLock);
+});
@@ -0,0 +1,77 @@
+// pagedata.js — runs in the page's own JS world (content scripts can't see page globals) and answers
+// content.js with the current player response, trimmed to the fields providers.js reads.
+// It also relays the player's video-change signal, which only the page world can subscribe to.
+(function () {
+  const HOSTS = ["www.youtube.com", "m.youtube.com", "music.youtube.com", "www.youtube-nocookie.com"];
+  if (!HOSTS.includes(location.hostname)) return;
+  if (window.top !== window && !location.pathname.startsWith("/embed/")) return;
+
+  // The player's own copy follows SPA navigations; ytInitialPlayerResponse is only right for the first page
+  function playerResponse(videoId) {
+    const candidates = [
+      document.querySelector("#movie_player")?.getPlayerResponse?.(),
+      document.querySelector("#shorts-player")?.getPlayerResponse?.(),
+      window.ytInitialPlayerResponse,
+    ];
+    return candidates.find(r => r?.videoDetails?.videoId === videoId) || null;
+  }
+
+  // ytInitialData only carries the owner's @handle; trust it only while it's for this video
+  function ownerUrl(videoId) {
+    const data = window.ytInitialData;
+    if (data?.currentVideoEndpoint?.watchEndpoint?.videoId !== videoId) return null;
+    const contents = data.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+    for (const c of contents) {
+      const owner = c.videoSecondaryInfoRenderer?.owner?.videoOwnerRenderer;
+      if (owner) return owner.navigationEndpoint?.browseEndpoint?.canonicalBaseUrl || null;
+    }
+    return null;
+  }
+
+  function extract(videoId) {
+    const r = playerResponse(videoId);
+    if (!r) return null;
+    const vd = r.videoDetails || {};
+    const mf = r.microformat?.playerMicroformatRenderer || {};
+    return {
+      videoDetails: {
+        title: vd.title, shortDescription: vd.shortDescription, channelId: vd.channelId, author: vd.author,
+        keywords: vd.keywords, lengthSeconds: vd.lengthSeconds, viewCount: vd.viewCount,
+        isLive: vd.isLive, isUpcoming: vd.isUpcoming,
+      },
+      microformat: {
+        title: mf.title?.simpleText, description: mf.description?.simpleText, category: mf.category,
+        publishDate: mf.publishDate, uploadDate: mf.uploadDate, isFamilySafe: mf.isFamilySafe,
+        externalChannelId: mf.externalChannelId, ownerChannelName: mf.ownerChannelName, ownerProfileUrl: mf.ownerProfileUrl,
+      },
+      playability: { status: r.playabilityStatus?.status, reason: r.playabilityStatus?.reason },
+      ownerUrl: ownerUrl(videoId),
+    };
+  }
+
+  // The player element carries the player API; its addEventListener takes API event names
+  const hooked = new WeakSet();
+  function hookPlayers() {
+    for (const player of document.querySelectorAll("#movie_player, #shorts-player")) {
+      if (hooked.has(player) || typeof player.getVideoData !== "function") continue;
+      hooked.add(player);
+      const relay = () => {
+        const videoId = player.getVideoData()?.video_id;
+        if (videoId) window.postMessage({ source: "ytl-page", type: "YTL_VIDEO_CHANGE", videoId }, location.origin);
+      };
+      player.addEventListener("onVideoDataChange", relay);
+      relay();
+    }
+  }
+  // A player exists by the time a video starts loading; SPA navigations can bring a new one (Shorts)
+  document.addEventListener("loadstart", hookPlayers, true);
+  document.addEventListener("yt-navigate-finish", hookPlayers);
+  window.addEventListener("state-navigateend", hookPlayers);
+
+  window.addEventListener("message", (e) => {
+    if (e.source !== window || e.data?.source !== "ytl" || e.data.type !== "YTL_PAGE_DATA_REQUEST") return;
+    let page = null;
+    try { page = extract(e.data.videoId); } catch {}
+    window.postMessage({ source: "ytl-page", type: "YTL_PAGE_DATA", videoId: e.data.videoId, page }, location.origin);
+  });
+})();
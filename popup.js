@@ -1,4 +1,4 @@
-// popup.js — UI to view, filter, and export logs; opens separate Options page for settings
+// popup.js — UI to view, filter, edit and export logs; opens separate Options page for settings
 
 // ---------- Helpers ----------
 function fmtDate(iso) {
@@ -18,35 +18,41 @@ function fmtDur(sec) {
   return parts.join(" ");
 }
 
-function toCsv(rows) {
-  const header = [
-    "watchedAt","profile","videoId","title","channelTitle","durationSeconds","url","description",
-    "isShorts","liveContent","publishedAt","categoryId","categoryName","tags",
-    "defaultLanguage","defaultAudioLanguage","caption","madeForKids",
-    "viewCount","likeCount","commentCount","referrer","pageTitle"
-  ];
-  const esc = (s) => '"' + String(s ?? "").replaceAll('"', '""') + '"';
-  const lines = [header.join(",")];
-  for (const r of rows) {
-    lines.push([
-      r.watchedAt, r.profile, r.videoId, r.title, r.channelTitle, r.durationSeconds ?? "", r.url, r.description,
-      r.isShorts ?? "", r.liveContent ?? "", r.publishedAt ?? "", r.categoryId ?? "", r.categoryName ?? "",
-      Array.isArray(r.tags) ? r.tags.join("|") : "",
-      r.defaultLanguage ?? "", r.defaultAudioLanguage ?? "", r.caption ?? "", r.madeForKids ?? "",
-      r.viewCount ?? "", r.likeCount ?? "", r.commentCount ?? "", r.referrer ?? "", r.pageTitle ?? ""
-    ].map(esc).join(","));
+function fmtWatched(r) {
+  if (r.watchedSeconds == null) return "";
+  const of = r.durationSeconds ? ` of ${fmtDur(r.durationSeconds)}` : "";
+  const pct = r.completionPct != null ? ` (${r.completionPct}%)` : "";
+  return `watched ${fmtDur(r.watchedSeconds)}${of}${pct}`;
+}
+
+// Short label for how a video was reached
+const NAV_SOURCE_LABELS = {
+  search: "Search", home: "Home feed", subscriptions: "Subscriptions", feed: "Feed",
+  autoplay: "Autoplay", related: "Up next", playlist: "Playlist", channel: "Channel page",
+  shorts_swipe: "Shorts swipe", external: "External link", direct: "Direct", other: "Other",
+};
+
+function fmtSource(r) {
+  if (!r.navSource) return "";
+  let s = NAV_SOURCE_LABELS[r.navSource] || r.navSource;
+  if (r.navSource === "search" && r.searchQuery) s += `: “${r.searchQuery}”`;
+  if (r.navSource === "playlist" && r.playlistIndex) s += ` #${r.playlistIndex}`;
+  if (r.navSource === "channel" && r.sourceChannel) s += `: ${r.sourceChannel}`;
+  if (r.navSource === "external" && r.referrer) {
+    try { s += `: ${new URL(r.referrer).hostname}`; } catch {}
   }
-  return lines.join("\n");
+  return s;
 }
 
-function groupByDay(rows) {
-  const by = {};
-  for (const r of rows) {
-    const d = new Date(r.watchedAt);
-    const day = isNaN(+d) ? "unknown" : d.toISOString().slice(0,10);
-    (by[day] ||= []).push(r);
+// Where it was played; the usual watch page and Shorts player need no label
+const SURFACE_LABELS = { live: "Live", miniplayer: "Miniplayer", mobile: "Mobile site", music: "YouTube Music", embed: "Embedded" };
+
+function fmtSurface(r) {
+  let s = SURFACE_LABELS[r.surface];
+  if (r.surface === "embed" && r.referrer) {
+    try { s += ` on ${new URL(r.referrer).hostname}`; } catch {}
   }
-  return by;
+  return s || "";
 }
 
 function downloadBlob(filename, mime, text) {
@@ -66,72 +72,781 @@ function uniquePreserveOrder(arr) {
   return out;
 }
 
-function applyFilters(rows) {
-  const q = document.getElementById("q")?.value?.trim().toLowerCase() || "";
-  const onlyShorts = document.getElementById("fShorts")?.checked;
-  const onlyKids = document.getElementById("fKids")?.checked;
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
 
-  let out = [...rows].sort((a,b) => new Date(b.watchedAt) - new Date(a.watchedAt));
-  if (q) out = out.filter(r => (r.title||"").toLowerCase().includes(q) || (r.channelTitle||"").toLowerCase().includes(q));
-  if (onlyShorts) out = out.filter(r => r.isShorts === true);
-  if (onlyKids) out = out.filter(r => r.madeForKids === true);
-  return out;
+// `u` when it's an http(s) URL, else "" (no javascript: or data: links from imported rows)
+function safeUrl(u) {
+  try {
+    return /^https?:$/.test(new URL(u).protocol) ? String(u) : "";
+  } catch {
+    return "";
+  }
+}
+
+// ---------- Profiles ----------
+const profileState = { profiles: [], active: null };
+
+async function loadProfiles() {
+  Object.assign(profileState, await getProfiles());
+  const logged = await dbListProfiles().catch(() => []);
+  const names = uniquePreserveOrder([...profileState.profiles.map(p => p.name), ...logged]);
+
+  const activeSel = document.getElementById("activeProfile");
+  if (activeSel) {
+    activeSel.innerHTML = profileState.profiles
+      .map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(profileLabel(profileState.profiles, p.name))}</option>`).join("");
+    activeSel.value = profileState.active;
+  }
+
+  const filterSel = document.getElementById("fProfile");
+  if (filterSel) {
+    const current = filterSel.value;
+    filterSel.innerHTML = '<option value="">All profiles</option>' +
+      names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(profileLabel(profileState.profiles, n))}</option>`).join("");
+    filterSel.value = names.includes(current) ? current : "";
+  }
+  return names;
+}
+
+function readFilters() {
+  return {
+    profile: document.getElementById("fProfile")?.value || null,
+    query: parseQuery(document.getElementById("q")?.value || ""), // query.js
+    onlyShorts: document.getElementById("fShorts")?.checked,
+    onlyKids: document.getElementById("fKids")?.checked,
+    hideSkims: document.getElementById("fSkims")?.checked,
+    onlyBlocked: document.getElementById("fBlocked")?.checked,
+    onlyFlagged: document.getElementById("fFlagged")?.checked,
+    onlyFavorites: document.getElementById("fFavorites")?.checked,
+    source: document.getElementById("fSource")?.value || "",
+    sessions: document.getElementById("fSessions")?.checked, // view mode, not a filter
+  };
+}
+
+function matchesFilters(r, f) {
+  if (f.profile && r.profile !== f.profile) return false;
+  if (!matchesQuery(r, f.query)) return false;
+  if (f.onlyShorts && r.isShorts !== true) return false;
+  if (f.onlyKids && r.madeForKids !== true) return false;
+  if (f.hideSkims && isSkim(r)) return false;
+  if (f.onlyBlocked && !r.blocked) return false;
+  if (f.onlyFlagged && !r.flags?.length) return false;
+  if (f.onlyFavorites && !r.favorite) return false;
+  if (f.source && r.navSource !== f.source) return false;
+  return true;
+}
+
+function renderEntry(r) {
+  const div = document.createElement("div");
+  div.className = "entry";
+  // Entries can come from imported files, so everything from them is escaped and links must be http(s)
+  const thumb = safeUrl(r.thumbnails?.medium?.url || r.thumbnails?.default?.url);
+  const url = escapeHtml(safeUrl(r.url) || `https://www.youtube.com/watch?v=${encodeURIComponent(r.videoId)}`);
+  const pills = [];
+  if (r.isShorts) pills.push('<span class="pill pill-blue">Shorts</span>');
+  if (r.liveContent && r.liveContent !== "none") pills.push(`<span class="pill pill-red">${escapeHtml(r.liveContent)}</span>`);
+  if (r.madeForKids) pills.push('<span class="pill pill-green">Made for Kids</span>');
+  if (r.categoryName) pills.push(`<span class="pill">${escapeHtml(r.categoryName)}</span>`);
+  if (r.blocked) pills.push(`<span class="pill pill-red" title="${escapeHtml(r.blocked.message)}">Blocked: ${escapeHtml(r.blocked.reason)}</span>`);
+  const flagClass = { high: "pill-red", medium: "pill-amber", low: "" };
+  for (const f of r.flags || []) pills.push(`<span class="pill ${flagClass[f.severity] || ""}" title="${escapeHtml(`${f.severity} severity: ${f.reason}`)}">⚑ ${escapeHtml(f.name)}</span>`);
+  if (r.enrichment === "pending") pills.push('<span class="pill">Fetching details…</span>');
+  if (r.enrichment === "unavailable") pills.push('<span class="pill pill-red">Unavailable</span>');
+  const checked = r.refreshedAt ? escapeHtml(`Checked ${fmtDate(r.refreshedAt)}`) : "";
+  if (r.availability === "removed") pills.push(`<span class="pill pill-red" title="${checked}">Removed</span>`);
+  if (r.availability === "private") pills.push(`<span class="pill pill-red" title="${checked}">Now private</span>`);
+  if (r.ageRestricted) pills.push(`<span class="pill pill-red" title="${checked}">Age-restricted</span>`);
+  if (r.regionBlocked) pills.push(`<span class="pill pill-red" title="${checked}">Blocked in your region</span>`);
+  if (r.current?.title && r.title && r.current.title !== r.title) pills.push(`<span class="pill" title="Now: ${escapeHtml(r.current.title)}">Retitled</span>`);
+  if (r.ended) pills.push('<span class="pill pill-green">Finished</span>');
+  else if (isSkim(r)) pills.push('<span class="pill">Skimmed</span>');
+  if (r.autoplayedNext) pills.push('<span class="pill">Autoplayed on</span>');
+  if (r.rewatchCount) {
+    const times = (r.rewatches || []).map(v => `${fmtDate(v.watchedAt)}${v.watchedSeconds ? ` · ${fmtDur(v.watchedSeconds)}` : ""}`).join("\n");
+    pills.push(`<span class="pill pill-blue" title="${escapeHtml(times)}">Rewatched ×${r.rewatchCount}</span>`);
+  }
+  const source = fmtSource(r);
+  if (source) pills.push(`<span class="pill pill-source" title="${escapeHtml(r.referrer || "")}">${escapeHtml(source)}</span>`);
+  const surface = fmtSurface(r);
+  if (surface) pills.push(`<span class="pill pill-source">${escapeHtml(surface)}</span>`);
+  if (r.startOffsetSeconds) pills.push(`<span class="pill">Started at ${fmtDur(r.startOffsetSeconds)}</span>`);
+  const watched = fmtWatched(r);
+  const rating = Math.min(5, Math.max(0, Math.round(Number(r.rating)) || 0));
+  const stars = rating ? `<span class="stars" title="Rated ${rating} of 5">${"★".repeat(rating)}${"☆".repeat(5 - rating)}</span>` : "";
+  const labels = (r.labels || []).map(l => `<span class="pill pill-label">#${escapeHtml(l)}</span>`).join(" ");
+
+  div.innerHTML = `
+    <div class="row">
+      ${thumb ? `<a class="thumb" href="${url}" target="_blank" rel="noopener"><img src="${escapeHtml(thumb)}" alt="" loading="lazy"/></a>` : ""}
+      <div class="col">
+        <a class="title wrap" href="${url}" target="_blank" rel="noopener noreferrer">${escapeHtml(r.title || r.videoId)}</a>
+        <div class="meta">
+          <span>${escapeHtml(r.channelTitle || "")}</span>
+          · <span class="muted">${fmtDur(r.durationSeconds)}</span>
+          · <span class="muted">${fmtDate(r.watchedAt)}</span>
+        </div>
+        ${watched ? `<div class="meta muted">${escapeHtml(watched)}</div>` : ""}
+        <div class="pills">${pills.join(" ")}</div>
+        ${stars || labels ? `<div class="pills">${stars} ${labels}</div>` : ""}
+        ${r.note ? `<div class="entry-note">${escapeHtml(r.note)}</div>` : ""}
+      </div>
+      <div class="entry-side">
+        <span class="pill" style="background:${escapeHtml(profileColor(profileState.profiles, r.profile))}33">${escapeHtml(profileLabel(profileState.profiles, r.profile))}</span>
+        <div class="entry-actions">
+          <input type="checkbox" class="pick" title="Pick for a replay playlist"${playlistState.picked.has(r.id) ? " checked" : ""} />
+          <button class="fav${r.favorite ? " on" : ""}" title="${r.favorite ? "Remove from favorites" : "Add to favorites"}">${r.favorite ? "★" : "☆"}</button>
+          <button class="edit" title="Note, rating, labels, profile, delete">✎</button>
+        </div>
+      </div>
+    </div>
+  `;
+  div.querySelector(".pick").addEventListener("change", (e) => togglePicked(r, e.target.checked));
+  div.querySelector(".fav").addEventListener("click", () => toggleFavorite(div, r));
+  div.querySelector(".edit").addEventListener("click", () => openEntryEditor(div, r));
+  return div;
+}
+
+// ---------- Entry actions ----------
+// The list reloads whenever the log changes; while an editor is open that waits until it closes
+const editState = { open: 0, stale: false };
+
+function refreshList({ summary = true } = {}) {
+  if (editState.open) editState.stale = true;
+  else loadAndRender({ keepLoaded: true, summary });
+}
+
+async function toggleFavorite(div, r) {
+  const res = await sendMessage({ type: "YTL_ANNOTATE_ENTRY", id: r.id, patch: { favorite: !r.favorite } });
+  if (!res.ok) return alert(res.error || "Couldn't update the entry.");
+  r.favorite = res.entry.favorite;
+  const b = div.querySelector(".fav");
+  b.classList.toggle("on", r.favorite);
+  b.textContent = r.favorite ? "★" : "☆";
+  b.title = r.favorite ? "Remove from favorites" : "Add to favorites";
+}
+
+function closeEntryEditor(form) {
+  form.remove();
+  editState.open = Math.max(0, editState.open - 1);
+  if (!editState.open && editState.stale) {
+    editState.stale = false;
+    loadAndRender({ keepLoaded: true });
+  }
+}
+
+function openEntryEditor(div, r) {
+  if (div.querySelector(".entry-edit")) return;
+  const names = uniquePreserveOrder([...profileState.profiles.map(p => p.name), r.profile]);
+  const form = document.createElement("form");
+  form.className = "panel entry-edit";
+  form.innerHTML = `
+    <div class="export-row">
+      <label>Rating
+        <select name="rating">
+          <option value="">None</option>
+          ${[1, 2, 3, 4, 5].map(n => `<option value="${n}">${"★".repeat(n)}</option>`).join("")}
+        </select>
+      </label>
+      <label>Profile
+        <select name="profile">${names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(profileLabel(profileState.profiles, n))}</option>`).join("")}</select>
+      </label>
+    </div>
+    <label>Labels <input name="labels" placeholder="comma-separated, e.g. rewatch, science" /></label>
+    <label>Note <textarea name="note" rows="2"></textarea></label>
+    <div class="panel-actions">
+      <button type="submit">Save</button>
+      <button type="button" data-act="cancel">Cancel</button>
+      <button type="button" data-act="delete" class="danger">Delete entry</button>
+      <span class="pin-msg"></span>
+    </div>`;
+  form.rating.value = r.rating || "";
+  form.profile.value = r.profile;
+  form.labels.value = (r.labels || []).join(", ");
+  form.note.value = r.note || "";
+  const msg = form.querySelector(".pin-msg");
+  editState.open++;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const patch = {
+      rating: form.rating.value ? Number(form.rating.value) : null,
+      labels: form.labels.value.split(",").map(s => s.trim()).filter(Boolean),
+      note: form.note.value,
+    };
+    const res = await sendMessage({ type: "YTL_ANNOTATE_ENTRY", id: r.id, patch });
+    if (!res.ok) return (msg.textContent = res.error || "Couldn't save.");
+    const profile = form.profile.value;
+    if (profile !== r.profile) {
+      if (!(await askPin(`Enter the PIN to move this entry to "${profile}".`))) return (msg.textContent = "Saved; the profile was not changed.");
+      const moved = await sendMessage({ type: "YTL_REASSIGN_ENTRY", id: r.id, profile });
+      if (!moved.ok) return (msg.textContent = moved.error || "Couldn't change the profile.");
+    }
+    editState.stale = true;
+    closeEntryEditor(form);
+  });
+  form.querySelector('[data-act="cancel"]').addEventListener("click", () => closeEntryEditor(form));
+  form.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+    if (!confirm(`Delete "${r.title || r.videoId}" from the log? This can't be undone.`)) return;
+    if (!(await askPin("Enter the PIN to delete an entry."))) return;
+    const res = await sendMessage({ type: "YTL_DELETE_ENTRY", id: r.id });
+    if (!res.ok) return (msg.textContent = res.error || "Couldn't delete.");
+    editState.stale = true;
+    closeEntryEditor(form);
+    renderIntegrity();
+  });
+  div.appendChild(form);
+  form.note.focus();
+}
+
+// ---------- Sessions ----------
+// The session view folds entries under their viewing session, read from the
+// sessions store the background keeps. Sessions are fetched for each page's span.
+const sessionCache = new Map();
+const collapsedSessions = new Set();
+
+async function loadSessionsFor(rows) {
+  if (!rows.length) return;
+  let min = rows[0].watchedAt, max = rows[0].watchedAt;
+  for (const r of rows) {
+    if (r.watchedAt < min) min = r.watchedAt;
+    if (r.watchedAt > max) max = r.watchedAt;
+  }
+  // a session starts at or before its entries; a day back covers any realistic one
+  const after = new Date(Date.parse(min) - 86400000).toISOString();
+  const before = new Date(Date.parse(max) + 1).toISOString();
+  for (const s of await dbGetSessions({ after, before })) sessionCache.set(s.id, s);
+}
+
+function sessionOf(r) {
+  for (const s of sessionCache.values()) {
+    if (s.profile === r.profile && s.startAt <= r.watchedAt && r.watchedAt <= s.lastWatchedAt) return s;
+  }
+  return null;
+}
+
+function renderSessionGroup(key, s) {
+  const details = document.createElement("details");
+  details.className = "session";
+  details.open = !collapsedSessions.has(key);
+  details.addEventListener("toggle", () => {
+    if (details.open) collapsedSessions.delete(key); else collapsedSessions.add(key);
+  });
+  const summary = document.createElement("summary");
+  if (s) {
+    const start = new Date(s.startAt), end = new Date(s.endAt);
+    const endText = start.toDateString() === end.toDateString() ? end.toLocaleTimeString() : fmtDate(s.endAt);
+    const top = [...s.topChannels, ...s.topCategories].map(x => x.title || x.key).filter(Boolean);
+    summary.innerHTML = `
+      <span class="session-title">${escapeHtml(fmtDate(s.startAt))} – ${escapeHtml(endText)}</span>
+      <span class="muted">${s.count} video${s.count === 1 ? "" : "s"} · ${fmtDur(s.totalSeconds)} · ${Math.round(s.shortsRatio * 100)}% Shorts · ${escapeHtml(profileLabel(profileState.profiles, s.profile))}</span>
+      ${top.length ? `<span class="muted">${escapeHtml(top.join(", "))}</span>` : ""}
+    `;
+  } else {
+    summary.innerHTML = '<span class="muted">Not grouped into a session yet</span>';
+  }
+  details.appendChild(summary);
+  return details;
+}
+
+// Appending continues the last group when a session spans two pages
+function renderSessions(root, rows, append) {
+  let group = append ? listState.lastGroup : null;
+  for (const r of rows) {
+    const s = sessionOf(r);
+    const key = s ? s.id : "none";
+    if (!group || group.key !== key) {
+      group = { key, el: renderSessionGroup(key, s) };
+      root.appendChild(group.el);
+    }
+    group.el.appendChild(renderEntry(r));
+  }
+  listState.lastGroup = group;
 }
 
-function render(list) {
+function render(rows, { append = false } = {}) {
   const root = document.getElementById("list");
   if (!root) return;
-  root.innerHTML = "";
+  if (!append) root.innerHTML = "";
 
-  const rows = applyFilters(list);
-  if (!rows.length) {
+  if (!append && !rows.length) {
     root.innerHTML = '<div class="empty">No items logged yet.</div>';
     return;
   }
+  if (listState.filters?.sessions) return renderSessions(root, rows, append);
 
+  const frag = document.createDocumentFragment();
+  for (const r of rows) frag.appendChild(renderEntry(r));
+  root.appendChild(frag);
+}
+
+// ---------- Paging ----------
+// The list is read newest-first from IndexedDB one page at a time; more pages
+// load as the list is scrolled. `token` discards results of superseded loads.
+const PAGE_SIZE = 50;
+const listState = { token: 0, filters: null, cursor: null, done: true, loading: false, shown: 0, lastGroup: null };
+
+// `summary` false keeps the count and total as they are (a regrouping of sessions doesn't change them)
+async function loadAndRender({ keepLoaded = false, summary = true } = {}) {
+  const token = ++listState.token;
+  const filters = readFilters();
+  const limit = keepLoaded ? Math.max(PAGE_SIZE, listState.shown) : PAGE_SIZE;
+  const page = await dbScanEntries({ profile: filters.profile, filter: (r) => matchesFilters(r, filters), limit });
+  if (filters.sessions) {
+    sessionCache.clear();
+    await loadSessionsFor(page.rows);
+  }
+  if (token !== listState.token) return;
+  Object.assign(listState, { filters, cursor: page.cursor, done: page.done, loading: false, shown: page.rows.length });
+  render(page.rows);
+  if (summary) renderResultSummary(token, filters);
+}
+
+// Count and watch time of everything the current filter matches, not just the loaded pages.
+// A full scan: it runs when the search, the filters or the log change, not on playback progress.
+async function renderResultSummary(token, filters) {
+  const el = document.getElementById("resultSummary");
+  if (!el) return;
+  const errors = filters.query.errors.length
+    ? ` · <span class="query-errors" title="${escapeHtml(filters.query.errors.join("\n"))}">ignored: ${escapeHtml(filters.query.errors.join("; "))}</span>`
+    : "";
+  const rows = await dbGetAllEntries({ profile: filters.profile, filter: (r) => matchesFilters(r, filters) });
+  if (token !== listState.token) return;
+  const seconds = rows.reduce((sum, r) => sum + watchSecondsOf(r), 0);
+  el.innerHTML = `${rows.length} video${rows.length === 1 ? "" : "s"} · ${escapeHtml(fmtDur(seconds))} watched${errors}`;
+}
+
+async function loadMore() {
+  if (listState.loading || listState.done) return;
+  const token = listState.token;
+  const { filters, cursor } = listState;
+  listState.loading = true;
+  const page = await dbScanEntries({ profile: filters.profile, before: cursor, filter: (r) => matchesFilters(r, filters), limit: PAGE_SIZE });
+  if (filters.sessions) await loadSessionsFor(page.rows);
+  if (token !== listState.token) return;
+  Object.assign(listState, { cursor: page.cursor, done: page.done, loading: false, shown: listState.shown + page.rows.length });
+  render(page.rows, { append: true });
+}
+
+// ---------- Replay playlists ----------
+// YouTube's watch_videos link plays up to 50 ids as an unsaved playlist. The builder takes the
+// filtered list or the entries picked in it, one item per video, and splits longer lists into parts.
+// chrome.storage.local "playlistLinks": [{ id, name, url, count, createdAt, part?, parts? }]
+const PLAYLIST_MAX = 50;
+const PLAYLIST_FULL_PCT = 90; // a watch this complete isn't "partial"
+const playlistState = { picked: new Map() };
+
+const PLAYLIST_ORDERS = {
+  recent: (a, b) => b.lastAt.localeCompare(a.lastAt),
+  oldest: (a, b) => a.firstAt.localeCompare(b.firstAt),
+  channel: (a, b) => (a.channel || "\uffff").localeCompare(b.channel || "\uffff") || a.firstAt.localeCompare(b.firstAt),
+  count: (a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt),
+};
+
+// Only measured views count; imported entries and ones from before playback tracking have no watchedSeconds
+function isPartialWatch(r) {
+  if (r.watchedSeconds == null) return false;
+  return !r.ended && !(r.completionPct >= PLAYLIST_FULL_PCT);
+}
+
+/**
+ * One item per video from `rows`, ordered and cut into link-sized parts.
+ * @param opts { order: key of PLAYLIST_ORDERS, excludeShorts, excludePartial }
+ * @returns [[videoId]] — empty when nothing is left
+ */
+function buildPlaylistParts(rows, { order = "recent", excludeShorts = false, excludePartial = false } = {}) {
+  const videos = new Map();
   for (const r of rows) {
-    const div = document.createElement("div");
-    div.className = "entry";
-    const thumb = r.thumbnails?.medium?.url || r.thumbnails?.default?.url || "";
-    const pills = [];
-    if (r.isShorts) pills.push('<span class="pill pill-blue">Shorts</span>');
-    if (r.liveContent && r.liveContent !== "none") pills.push(`<span class="pill pill-red">${r.liveContent}</span>`);
-    if (r.madeForKids) pills.push('<span class="pill pill-green">Made for Kids</span>');
-    if (r.categoryName) pills.push(`<span class="pill">${r.categoryName}</span>`);
-
-    div.innerHTML = `
-      <div class="row">
-        ${thumb ? `<a class="thumb" href="${r.url}" target="_blank" rel="noopener"><img src="${thumb}" alt=""/></a>` : ""}
-        <div class="col">
-          <a class="title wrap" href="${r.url}" target="_blank" rel="noopener noreferrer">${r.title || r.videoId}</a>
-          <div class="meta">
-            <span>${r.channelTitle || ""}</span>
-            · <span class="muted">${fmtDur(r.durationSeconds)}</span>
-            · <span class="muted">${fmtDate(r.watchedAt)}</span>
-          </div>
-          <div class="pills">${pills.join(" ")}</div>
-        </div>
-        <span class="pill">${r.profile}</span>
-      </div>
-    `;
-    root.appendChild(div);
+    if (!r.videoId) continue;
+    if (excludeShorts && r.isShorts) continue;
+    if (excludePartial && isPartialWatch(r)) continue;
+    const v = videos.get(r.videoId) || { videoId: r.videoId, channel: r.channelTitle || "", count: 0, firstAt: r.watchedAt, lastAt: r.watchedAt };
+    v.count += 1 + (r.rewatchCount || 0);
+    if (r.watchedAt < v.firstAt) v.firstAt = r.watchedAt;
+    if (r.watchedAt > v.lastAt) v.lastAt = r.watchedAt;
+    videos.set(r.videoId, v);
   }
+  const ids = [...videos.values()].sort(PLAYLIST_ORDERS[order] || PLAYLIST_ORDERS.recent).map(v => v.videoId);
+  const parts = [];
+  for (let i = 0; i < ids.length; i += PLAYLIST_MAX) parts.push(ids.slice(i, i + PLAYLIST_MAX));
+  return parts;
 }
 
-function loadAndRender() {
-  chrome.storage.local.get({ watchLog: [] }, ({ watchLog }) => {
-    render(watchLog || []);
+function getPlaylistLinks() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ playlistLinks: [] }, ({ playlistLinks }) => resolve(Array.isArray(playlistLinks) ? playlistLinks : []));
   });
 }
 
-function rememberPlaylistLink(playlistUrl, count) {
-  chrome.storage.local.get({ playlistLinks: [] }, ({ playlistLinks }) => {
-    const updated = Array.isArray(playlistLinks) ? playlistLinks : [];
-    updated.push({ url: playlistUrl, count, createdAt: new Date().toISOString() });
-    chrome.storage.local.set({ playlistLinks: updated });
+function setPlaylistLinks(playlistLinks) {
+  return new Promise((resolve) => chrome.storage.local.set({ playlistLinks }, resolve));
+}
+
+function togglePicked(r, on) {
+  if (on) playlistState.picked.set(r.id, r);
+  else playlistState.picked.delete(r.id);
+  syncPlaylistSource();
+}
+
+function syncPlaylistSource() {
+  const n = playlistState.picked.size;
+  const picked = document.getElementById("playlistPicked");
+  picked.disabled = !n;
+  picked.closest("label").lastChild.textContent = ` Picked entries (${n})`;
+  if (!n) document.getElementById("playlistFiltered").checked = true;
+  document.getElementById("playlistClearPicks").hidden = !n;
+}
+
+function clearPicked() {
+  playlistState.picked.clear();
+  for (const el of document.querySelectorAll("#list .pick")) el.checked = false;
+  syncPlaylistSource();
+}
+
+async function openPlaylistPanel() {
+  document.getElementById("playlistPanel").hidden = false;
+  document.getElementById("list").classList.add("picking");
+  document.getElementById("playlistStatus").textContent = "";
+  syncPlaylistSource();
+  renderPlaylistLinks();
+}
+
+function closePlaylistPanel() {
+  document.getElementById("playlistPanel").hidden = true;
+  document.getElementById("list").classList.remove("picking");
+}
+
+async function buildPlaylists() {
+  const status = document.getElementById("playlistStatus");
+  const usePicked = document.getElementById("playlistPicked").checked;
+  let rows;
+  if (usePicked) {
+    rows = [...playlistState.picked.values()];
+  } else {
+    const filters = readFilters();
+    rows = await dbGetAllEntries({ profile: filters.profile, filter: (r) => matchesFilters(r, filters) });
+  }
+  const parts = buildPlaylistParts(rows, {
+    order: document.getElementById("playlistOrder").value,
+    excludeShorts: document.getElementById("playlistNoShorts").checked,
+    excludePartial: document.getElementById("playlistNoPartial").checked,
+  });
+  if (!parts.length) return (status.textContent = "No videos left to put in a playlist.");
+
+  const name = document.getElementById("playlistName").value.trim() || `Replay ${new Date().toLocaleDateString()}`;
+  const createdAt = new Date().toISOString();
+  const stamp = Date.now().toString(36);
+  const links = parts.map((ids, i) => ({
+    id: `p${stamp}${i}`,
+    name,
+    url: `https://www.youtube.com/watch_videos?video_ids=${ids.join(",")}`,
+    count: ids.length,
+    createdAt,
+    ...(parts.length > 1 ? { part: i + 1, parts: parts.length } : {}),
+  }));
+  await setPlaylistLinks([...(await getPlaylistLinks()), ...links]);
+  const total = parts.reduce((n, ids) => n + ids.length, 0);
+  status.textContent = `${total} video${total === 1 ? "" : "s"}${parts.length > 1 ? ` in ${parts.length} links of up to ${PLAYLIST_MAX}` : ""} saved below.`;
+  if (usePicked) clearPicked();
+  renderPlaylistLinks();
+  if (parts.length === 1) window.open(links[0].url, "_blank");
+}
+
+function playlistLinkName(l) {
+  const name = l.name || `Replay ${fmtDate(l.createdAt)}`;
+  return l.parts ? `${name} (${l.part}/${l.parts})` : name;
+}
+
+// Newest first; links saved before names existed show their date
+async function renderPlaylistLinks() {
+  const links = await getPlaylistLinks();
+  const root = document.getElementById("playlistLinks");
+  root.innerHTML = links.length ? "" : '<div class="muted">No saved playlists yet.</div>';
+  links.forEach((l, index) => {
+    const row = document.createElement("div");
+    row.className = "playlist-link";
+    row.innerHTML = `
+      <a href="${escapeHtml(safeUrl(l.url))}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(fmtDate(l.createdAt))}">${escapeHtml(playlistLinkName(l))}</a>
+      <span class="muted">${Number(l.count) || 0} video${l.count === 1 ? "" : "s"}</span>
+      <button data-act="rename">Rename</button>
+      <button data-act="delete">Delete</button>`;
+    row.querySelector('[data-act="rename"]').addEventListener("click", () => renamePlaylistLink(l, index));
+    row.querySelector('[data-act="delete"]').addEventListener("click", () => deletePlaylistLink(l, index));
+    root.prepend(row);
   });
 }
 
+// Links are matched by id, or by position for ones saved without an id
+function samePlaylistLink(a, b, i, index) {
+  return a.id ? a.id === b.id : i === index && a.url === b.url;
+}
+
+async function renamePlaylistLink(l, index) {
+  const name = prompt("Name for this playlist:", l.name || "");
+  if (!name?.trim()) return;
+  const links = await getPlaylistLinks();
+  // every part of a split list shares the name
+  const group = l.parts ? links.filter(x => x.createdAt === l.createdAt && x.parts === l.parts) : [];
+  await setPlaylistLinks(links.map((x, i) => (samePlaylistLink(x, l, i, index) || group.includes(x) ? { ...x, name: name.trim() } : x)));
+  renderPlaylistLinks();
+}
+
+async function deletePlaylistLink(l, index) {
+  if (!confirm(`Delete the saved playlist "${playlistLinkName(l)}"?`)) return;
+  const links = await getPlaylistLinks();
+  await setPlaylistLinks(links.filter((x, i) => !samePlaylistLink(x, l, i, index)));
+  renderPlaylistLinks();
+}
+
+// ---------- Saved filters ----------
+// chrome.storage.sync "savedFilters": [{ id, name, pinned, state: { control id: value } }].
+// A saved filter is the search text plus every filter control; Sessions is a view mode and isn't saved.
+const FILTER_CONTROLS = ["q", "fProfile", "fSource", "fShorts", "fKids", "fSkims", "fBlocked", "fFlagged", "fFavorites"];
+
+function getSavedFilters() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ savedFilters: [] }, ({ savedFilters }) => resolve(Array.isArray(savedFilters) ? savedFilters : []));
+  });
+}
+
+function setSavedFilters(savedFilters) {
+  return new Promise((resolve) => chrome.storage.sync.set({ savedFilters }, resolve));
+}
+
+function readFilterState() {
+  const state = {};
+  for (const id of FILTER_CONTROLS) {
+    const el = document.getElementById(id);
+    if (el) state[id] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  return state;
+}
+
+async function renderSavedFilters() {
+  const saved = await getSavedFilters();
+  const sel = document.getElementById("savedFilter");
+  const current = sel.value;
+  sel.innerHTML = '<option value="">Saved filters…</option>' +
+    saved.map(f => `<option value="${escapeHtml(f.id)}">${f.pinned ? "📌 " : ""}${escapeHtml(f.name)}</option>`).join("");
+  sel.value = saved.some(f => f.id === current) ? current : "";
+  const chosen = saved.find(f => f.id === sel.value);
+  document.getElementById("filterPin").disabled = !chosen;
+  document.getElementById("filterPin").textContent = chosen?.pinned ? "Unpin" : "Pin";
+  document.getElementById("filterDelete").disabled = !chosen;
+
+  const bar = document.getElementById("pinnedFilters");
+  bar.innerHTML = "";
+  for (const f of saved.filter(x => x.pinned)) {
+    const b = document.createElement("button");
+    b.textContent = f.name;
+    b.title = f.state?.q || "";
+    b.classList.toggle("on", f.id === sel.value);
+    b.addEventListener("click", () => applySavedFilter(f.id));
+    bar.appendChild(b);
+  }
+}
+
+async function applySavedFilter(id) {
+  const f = (await getSavedFilters()).find(x => x.id === id);
+  document.getElementById("savedFilter").value = f ? id : "";
+  if (f) {
+    for (const key of FILTER_CONTROLS) {
+      const el = document.getElementById(key);
+      if (!el) continue;
+      if (el.type === "checkbox") el.checked = !!f.state?.[key];
+      else el.value = f.state?.[key] ?? "";
+    }
+    // a profile that no longer exists falls back to all profiles
+    const profileSel = document.getElementById("fProfile");
+    if (profileSel.selectedIndex < 0) profileSel.value = "";
+  }
+  renderSavedFilters();
+  loadAndRender();
+}
+
+async function saveCurrentFilter() {
+  const state = readFilterState();
+  const name = prompt("Name for this filter:", state.q || "");
+  if (!name?.trim()) return;
+  const saved = await getSavedFilters();
+  const same = saved.find(f => f.name === name.trim());
+  if (same && !confirm(`Replace the saved filter "${same.name}"?`)) return;
+  const filter = { id: same?.id || `f${Date.now().toString(36)}`, name: name.trim(), pinned: same?.pinned ?? false, state };
+  await setSavedFilters(same ? saved.map(f => (f.id === same.id ? filter : f)) : [...saved, filter]);
+  document.getElementById("savedFilter").value = filter.id;
+  renderSavedFilters();
+}
+
+async function updateChosenFilter(change) {
+  const id = document.getElementById("savedFilter").value;
+  const saved = await getSavedFilters();
+  const f = saved.find(x => x.id === id);
+  if (!f) return;
+  await setSavedFilters(change(saved, f));
+  renderSavedFilters();
+}
+
+// Hand edits leave the saved filter they started from; typing in the search box waits for a pause
+const SEARCH_DEBOUNCE_MS = 250;
+let searchTimer = null;
+
+function onFilterEdited(e) {
+  const sel = document.getElementById("savedFilter");
+  if (sel.value) {
+    sel.value = "";
+    renderSavedFilters();
+  }
+  clearTimeout(searchTimer);
+  if (e?.type === "input") searchTimer = setTimeout(loadAndRender, SEARCH_DEBOUNCE_MS);
+  else loadAndRender();
+}
+
+// ---------- Export ----------
+// Dialog state (format, fields, list-filter toggle) is remembered in chrome.storage.local "exportPrefs"
+function getExportPrefs() {
+  return new Promise((resolve) => chrome.storage.local.get({ exportPrefs: {} }, ({ exportPrefs }) => resolve(exportPrefs || {})));
+}
+
+function renderExportFields(selected) {
+  const want = new Set(normalizeExportFields(selected));
+  const required = new Set(EXPORT_REQUIRED_FIELDS);
+  const groups = [...new Set(EXPORT_FIELDS.map(f => f.group))];
+  document.getElementById("exportFields").innerHTML = groups.map(g => `
+    <div class="export-group"><div class="muted">${escapeHtml(g)}</div>
+      ${EXPORT_FIELDS.filter(f => f.group === g).map(f => `
+        <label class="chk" title="${escapeHtml(f.desc)}"><input type="checkbox" value="${f.key}" ${want.has(f.key) ? "checked" : ""} ${required.has(f.key) ? "disabled" : ""}> ${f.key}</label>
+      `).join("")}
+    </div>
+  `).join("");
+}
+
+function syncExportFormat() {
+  // Calendar export is made of sessions; fields and list filters apply to entries only
+  const ics = document.getElementById("exportFormat").value === "ics";
+  document.getElementById("exportFieldsBox").hidden = ics;
+  document.getElementById("exportUseFilters").closest("label").hidden = ics;
+}
+
+async function openExportDialog() {
+  const names = await loadProfiles();
+  const prefs = await getExportPrefs();
+  const current = readFilters().profile;
+  const today = new Date();
+  const oldest = await dbOldestWatchedAt(current || null);
+
+  const fmt = document.getElementById("exportFormat");
+  fmt.innerHTML = Object.entries(EXPORT_FORMATS).map(([id, f]) => `<option value="${id}">${escapeHtml(f.label)}</option>`).join("");
+  fmt.value = EXPORT_FORMATS[prefs.format] ? prefs.format : "csv";
+  document.getElementById("exportFrom").value = localDayKey(oldest ? new Date(oldest) : today);
+  document.getElementById("exportTo").value = localDayKey(today);
+  document.getElementById("exportUseFilters").checked = !!prefs.useFilters;
+  document.getElementById("exportProfiles").innerHTML = names.map(n => `
+    <label class="chk"><input type="checkbox" value="${escapeHtml(n)}" ${!current || current === n ? "checked" : ""}> ${escapeHtml(profileLabel(profileState.profiles, n))}</label>
+  `).join("");
+  renderExportFields(prefs.fields);
+  syncExportFormat();
+  document.getElementById("exportStatus").textContent = "";
+  document.getElementById("exportPanel").hidden = false;
+}
+
+async function runExport() {
+  const format = document.getElementById("exportFormat").value;
+  const include = new Set([...document.querySelectorAll("#exportProfiles input:checked")].map(i => i.value));
+  const fields = normalizeExportFields([...document.querySelectorAll("#exportFields input:checked")].map(i => i.value));
+  const useFilters = document.getElementById("exportUseFilters").checked;
+  const from = document.getElementById("exportFrom").value;
+  const to = document.getElementById("exportTo").value;
+  const status = document.getElementById("exportStatus");
+  if (!include.size) { status.textContent = "Pick at least one profile."; return; }
+  chrome.storage.local.set({ exportPrefs: { format, fields, useFilters } });
+
+  // Local days, inclusive
+  const [fy, fm, fd] = from.split("-").map(Number);
+  const [ty, tm, td] = to.split("-").map(Number);
+  const after = from ? new Date(fy, fm - 1, fd).toISOString() : null;
+  const before = to ? new Date(ty, tm - 1, td + 1).toISOString() : null;
+  const stamp = new Date().toISOString().replace(/[-:T.Z]/g, "").slice(0, 12);
+  const { ext, mime } = EXPORT_FORMATS[format];
+  const filename = `youtube_watch_log_${stamp}.${ext}`;
+
+  if (format === "ics") {
+    const sessions = (await dbGetSessions({ after, before })).filter(s => include.has(s.profile));
+    downloadBlob(filename, mime, toIcsExport(sessions, { profileName: (p) => profileLabel(profileState.profiles, p) }));
+    status.textContent = `Exported ${sessions.length} session${sessions.length === 1 ? "" : "s"}.`;
+    return;
+  }
+
+  // the dialog's profile choice replaces the list's profile filter
+  const f = { ...readFilters(), profile: null };
+  const rows = await dbGetAllEntries({ after, before, filter: (r) => include.has(r.profile) && (!useFilters || matchesFilters(r, f)) });
+  let text;
+  if (format === "csv") text = toCsvExport(rows, fields);
+  else if (format === "ndjson") text = toNdjsonExport(rows, fields);
+  else if (format === "markdown") text = toMarkdownExport(rows, fields);
+  else {
+    const sessions = (await dbGetSessions({ after, before })).filter(s => include.has(s.profile));
+    const verification = (await sendMessage({ type: "YTL_VERIFY_LOG", force: true })).result || null;
+    const { playlistLinks, chainHead, auditLog } = await new Promise((resolve) => chrome.storage.local.get({ playlistLinks: [], chainHead: null, auditLog: [] }, resolve));
+    text = toDailyJsonExport(rows, fields, {
+      sessions,
+      playlistLinks: Array.isArray(playlistLinks) ? playlistLinks : [],
+      integrity: { verification, chainHead, auditLog },
+    });
+  }
+  downloadBlob(filename, mime, text);
+  status.textContent = `Exported ${rows.length} entr${rows.length === 1 ? "y" : "ies"}.`;
+}
+
+// ---------- PIN lock & integrity ----------
+function sendMessage(msg) {
+  return new Promise((resolve) => chrome.runtime.sendMessage(msg, (res) => resolve(res || { ok: false })));
+}
+
+// Resolves true once unlocked (or when no PIN is set), false if the user cancels
+async function askPin(reason) {
+  const status = await sendMessage({ type: "YTL_LOCK_STATUS" });
+  if (!status.enabled || status.unlocked) return true;
+  const panel = document.getElementById("pinPanel");
+  const input = document.getElementById("pinInput");
+  const msg = document.getElementById("pinMsg");
+  document.getElementById("pinReason").textContent = reason;
+  msg.textContent = "";
+  input.value = "";
+  panel.hidden = false;
+  input.focus();
+  return new Promise((resolve) => {
+    const done = (ok) => {
+      panel.hidden = true;
+      panel.onsubmit = null;
+      document.getElementById("pinCancel").onclick = null;
+      resolve(ok);
+    };
+    panel.onsubmit = async (e) => {
+      e.preventDefault();
+      const res = await sendMessage({ type: "YTL_UNLOCK", pin: input.value });
+      if (res.ok) done(true);
+      else { msg.textContent = res.error || "Wrong PIN."; input.select(); }
+    };
+    document.getElementById("pinCancel").onclick = () => done(false);
+  });
+}
+
+// Shows the last check unless the log moved since; clicking the line checks again
+async function renderIntegrity({ force = false } = {}) {
+  const el = document.getElementById("integrity");
+  if (!el) return;
+  if (force) el.textContent = "Checking log integrity…";
+  const res = await sendMessage({ type: "YTL_VERIFY_LOG", force });
+  if (!res.ok) { el.textContent = ""; return; }
+  const v = res.result;
+  el.classList.toggle("integrity-bad", !v.ok);
+  el.title = `Checked ${new Date(v.checkedAt).toLocaleString()} — click to check again`;
+  el.textContent = v.ok
+    ? `Log integrity OK · ${v.checked} chained entr${v.checked === 1 ? "y" : "ies"}`
+    : `History was changed outside the app: ${v.removed} removed, ${v.edited} edited. See Settings → Security.`;
+}
+
 // ---------- Bind events ----------
 document.addEventListener('DOMContentLoaded', () => {
   // Friendly hint if API key is missing
@@ -147,58 +862,95 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  document.getElementById("q")?.addEventListener("input", loadAndRender);
-  document.getElementById("fShorts")?.addEventListener("change", loadAndRender);
-  document.getElementById("fKids")?.addEventListener("change", loadAndRender);
+  document.getElementById("activeProfile")?.addEventListener("change", async (e) => {
+    const sel = e.target;
+    const ok = await askPin(`Enter the PIN to log as "${sel.value}".`)
+      && (await sendMessage({ type: "YTL_SET_ACTIVE_PROFILE", profile: sel.value })).ok;
+    if (!ok) sel.value = profileState.active;
+  });
+
+  for (const id of FILTER_CONTROLS) {
+    document.getElementById(id)?.addEventListener(id === "q" ? "input" : "change", onFilterEdited);
+  }
+  document.getElementById("q").title = QUERY_HELP;
+  document.getElementById("fSessions")?.addEventListener("change", () => loadAndRender());
+
+  document.getElementById("savedFilter")?.addEventListener("change", (e) => applySavedFilter(e.target.value));
+  document.getElementById("filterSave")?.addEventListener("click", saveCurrentFilter);
+  document.getElementById("filterPin")?.addEventListener("click", () => {
+    updateChosenFilter((saved, f) => saved.map(x => (x.id === f.id ? { ...x, pinned: !x.pinned } : x)));
+  });
+  document.getElementById("filterDelete")?.addEventListener("click", () => {
+    updateChosenFilter((saved, f) => (confirm(`Delete the saved filter "${f.name}"?`) ? saved.filter(x => x.id !== f.id) : saved));
+  });
+
+  document.getElementById("list")?.addEventListener("scroll", (e) => {
+    const el = e.currentTarget;
+    if (el.scrollTop + el.clientHeight > el.scrollHeight - 200) loadMore();
+  });
 
   document.getElementById("openSettings")?.addEventListener("click", () => {
     if (chrome.runtime.openOptionsPage) chrome.runtime.openOptionsPage();
   });
 
-  document.getElementById("exportCsv")?.addEventListener("click", () => {
-    chrome.storage.local.get({ watchLog: [] }, ({ watchLog }) => {
-      const rows = applyFilters(watchLog || []);
-      const csv = toCsv(rows);
-      const stamp = new Date().toISOString().replace(/[-:T.Z]/g,"").slice(0,12);
-      downloadBlob(`youtube_watch_log_${stamp}.csv`, "text/csv;charset=utf-8", csv);
-    });
+  document.getElementById("openDashboard")?.addEventListener("click", () => {
+    const profile = readFilters().profile;
+    const url = chrome.runtime.getURL(`dashboard.html${profile ? `?profile=${encodeURIComponent(profile)}` : ""}`);
+    chrome.tabs.create({ url });
   });
 
-  document.getElementById("exportJson")?.addEventListener("click", () => {
-    chrome.storage.local.get({ watchLog: [], playlistLinks: [] }, ({ watchLog, playlistLinks }) => {
-      const rows = applyFilters(watchLog || []);
-      const dailyLogs = groupByDay(rows);
-      const payload = {
-        schemaVersion: 2,
-        generatedAt: new Date().toISOString(),
-        profiles: uniquePreserveOrder(rows.map(r => r.profile)),
-        dailyLogs,
-        playlistLinks: Array.isArray(playlistLinks) ? playlistLinks : []
-      };
-      const stamp = new Date().toISOString().replace(/[-:T.Z]/g,"").slice(0,12);
-      downloadBlob(`youtube_watch_log_by_day_${stamp}.json`, "application/json;charset=utf-8", JSON.stringify(payload, null, 2));
-    });
+  document.getElementById("openExport")?.addEventListener("click", () => {
+    const panel = document.getElementById("exportPanel");
+    if (!panel.hidden) { panel.hidden = true; return; }
+    openExportDialog();
+  });
+  document.getElementById("exportCancel")?.addEventListener("click", () => {
+    document.getElementById("exportPanel").hidden = true;
+  });
+  document.getElementById("exportFormat")?.addEventListener("change", syncExportFormat);
+  document.getElementById("exportFieldsDefault")?.addEventListener("click", (e) => { e.preventDefault(); renderExportFields(defaultExportFields()); });
+  document.getElementById("exportFieldsAll")?.addEventListener("click", (e) => { e.preventDefault(); renderExportFields(EXPORT_FIELDS.map(f => f.key)); });
+  document.getElementById("exportSchema")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    downloadBlob(`ytl-export-schema-v${EXPORT_SCHEMA_VERSION}.json`, "application/json;charset=utf-8", JSON.stringify(exportSchemaDocument(), null, 2));
+  });
+  document.getElementById("exportGo")?.addEventListener("click", () => {
+    runExport().catch((err) => { document.getElementById("exportStatus").textContent = `Export failed: ${err.message || err}`; });
   });
 
   document.getElementById("generatePlaylist")?.addEventListener("click", () => {
-    chrome.storage.local.get({ watchLog: [] }, ({ watchLog }) => {
-      const ids = (watchLog || []).map(e => e.videoId).filter(Boolean);
-      if (!ids.length) return;
-      const first50 = ids.slice(0, 50);
-      const playlistUrl = `https://www.youtube.com/watch_videos?video_ids=${first50.join(',')}`;
-      rememberPlaylistLink(playlistUrl, first50.length);
-      window.open(playlistUrl, '_blank');
-    });
+    if (document.getElementById("playlistPanel").hidden) openPlaylistPanel();
+    else closePlaylistPanel();
+  });
+  document.getElementById("playlistClose")?.addEventListener("click", closePlaylistPanel);
+  document.getElementById("playlistClearPicks")?.addEventListener("click", (e) => { e.preventDefault(); clearPicked(); });
+  document.getElementById("playlistBuild")?.addEventListener("click", () => {
+    buildPlaylists().catch((err) => { document.getElementById("playlistStatus").textContent = `Couldn't build the playlist: ${err.message || err}`; });
   });
 
-  document.getElementById("clear")?.addEventListener("click", () => {
-    if (!confirm("Clear all logged items?")) return;
-    chrome.storage.local.set({ watchLog: [], playlistLinks: [] }, loadAndRender);
+  document.getElementById("clear")?.addEventListener("click", async () => {
+    if (!confirm("Clear all logged items? A backup snapshot is saved to Downloads first.")) return;
+    if (!(await askPin("Enter the PIN to clear the log."))) return;
+    chrome.runtime.sendMessage({ type: "YTL_CLEAR_LOG" }, (res) => {
+      if (!res?.ok) alert(`Nothing was cleared: ${res?.error || "unknown error"}`);
+      loadAndRender();
+      renderIntegrity();
+    });
   });
 
-  loadAndRender();
+  // A flag notification opens this page in a tab with ?flagged=1
+  if (new URLSearchParams(location.search).get("flagged")) document.getElementById("fFlagged").checked = true;
+  loadProfiles().then(() => loadAndRender());
+  renderSavedFilters();
+  renderIntegrity();
+  document.getElementById("integrity")?.addEventListener("click", () => renderIntegrity({ force: true }));
 
   chrome.storage.onChanged.addListener((changes, area) => {
-    if (area === "local" && changes.watchLog) loadAndRender();
+    if (area === "local" && changes.logRevision) refreshList();
+    // playback progress bumps progressRevision instead of logRevision and is ignored here
+    if (area === "local" && changes.sessionsRevision && listState.filters?.sessions) refreshList({ summary: false });
+    if (area === "sync" && (changes.profiles || changes.profile)) loadProfiles().then(() => loadAndRender({ keepLoaded: true }));
+    if (area === "sync" && changes.savedFilters) renderSavedFilters();
+    if (area === "local" && changes.playlistLinks && !document.getElementById("playlistPanel").hidden) renderPlaylistLinks();
   });
 });
\ No newline at end of file
@@ -0,0 +1,55 @@
+// profiles.js — managed profile list in chrome.storage.sync, shared by background and pages
+// - profiles: [{ name, color, avatar }] (avatar is a short emoji/initials string)
+// - profile: name of the active profile; new entries are logged under it
+// Entries store the profile *name*, so rename/merge rewrite entries (see background.js).
+
+const PROFILE_COLORS = ["#4f8cff", "#ff7a59", "#2bb673", "#b36bff", "#f5b400", "#ff4f9a"];
+
+// Colors end up in style attributes and color inputs, so only #rrggbb is kept
+function isProfileColor(c) {
+  return typeof c === "string" && /^#[0-9a-f]{6}$/i.test(c);
+}
+
+function makeProfile(name, index = 0) {
+  return { name, color: PROFILE_COLORS[index % PROFILE_COLORS.length], avatar: "" };
+}
+
+// Older installs only have the free-text active profile; seed the list from it
+function normalizeProfiles(profiles, active) {
+  const list = (Array.isArray(profiles) ? profiles : [])
+    .filter(p => p && typeof p.name === "string" && p.name.trim())
+    .map((p, i) => {
+      const base = makeProfile(p.name.trim(), i);
+      return { ...base, ...p, name: base.name, color: isProfileColor(p.color) ? p.color : base.color };
+    });
+  if (active && !list.some(p => p.name === active)) list.unshift(makeProfile(active, list.length));
+  return list;
+}
+
+function getProfiles() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ profiles: null, profile: "Child" }, ({ profiles, profile }) => {
+      resolve({ profiles: normalizeProfiles(profiles, profile), active: profile });
+    });
+  });
+}
+
+function saveProfiles(profiles, active) {
+  const data = { profiles: normalizeProfiles(profiles, active) };
+  if (active) data.profile = active;
+  return new Promise((resolve) => chrome.storage.sync.set(data, resolve));
+}
+
+function findProfile(profiles, name) {
+  return profiles.find(p => p.name === name) || null;
+}
+
+function profileColor(profiles, name) {
+  const color = findProfile(profiles, name)?.color;
+  return isProfileColor(color) ? color : "#eeeeee";
+}
+
+function profileLabel(profiles, name) {
+  const avatar = findProfile(profiles, name)?.avatar;
+  return avatar ? `${avatar} ${name}` : name;
+}
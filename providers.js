@@ -0,0 +1,185 @@
+// providers.js — metadata providers: registry, order config (chrome.storage.sync "metaProviders") and
+// response converters. Background does the fetching and walks the providers in the configured order;
+// Options uses the registry to render the order editor. Converters return the same meta shape as
+// videoMetaFromItem() in background.js so entries look alike whichever provider filled them.
+
+const META_PROVIDERS = [
+  { id: "youtubeApi", label: "YouTube Data API", needs: "API key", description: "Complete metadata. Costs quota; batched 50 videos per call." },
+  { id: "pageData", label: "Watch page data", needs: null, description: "Read from the YouTube page you're watching (ytInitialPlayerResponse). No key, no extra requests." },
+  { id: "instance", label: "Invidious / Piped instance", needs: "endpoint", description: "Any Invidious- or Piped-compatible API you trust." },
+  { id: "oembed", label: "YouTube oEmbed", needs: null, description: "Title, channel name and thumbnail only." },
+];
+
+const DEFAULT_PROVIDER_ORDER = [
+  { id: "youtubeApi", enabled: true },
+  { id: "pageData", enabled: true },
+  { id: "instance", enabled: false },
+  { id: "oembed", enabled: true },
+];
+
+function providerLabel(id) {
+  return META_PROVIDERS.find(p => p.id === id)?.label || id;
+}
+
+// Keeps the saved order, drops unknown ids and appends providers added since (disabled)
+function normalizeProviderOrder(list) {
+  const known = new Set(META_PROVIDERS.map(p => p.id));
+  const out = [];
+  for (const p of Array.isArray(list) ? list : DEFAULT_PROVIDER_ORDER) {
+    if (p && known.has(p.id) && !out.some(x => x.id === p.id)) out.push({ id: p.id, enabled: !!p.enabled });
+  }
+  for (const p of META_PROVIDERS) {
+    if (!out.some(x => x.id === p.id)) out.push({ id: p.id, enabled: false });
+  }
+  return out;
+}
+
+function getProviderConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ metaProviders: null, instanceEndpoint: "" }, ({ metaProviders, instanceEndpoint }) => {
+      resolve({ order: normalizeProviderOrder(metaProviders), instanceEndpoint: instanceEndpoint || "" });
+    });
+  });
+}
+
+function saveProviderConfig({ order, instanceEndpoint }) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ metaProviders: normalizeProviderOrder(order), instanceEndpoint: instanceEndpoint || "" }, resolve);
+  });
+}
+
+// i.ytimg.com serves these for every public video; providers without thumbnail sizes use them
+function standardThumbnails(videoId) {
+  const base = `https://i.ytimg.com/vi/${videoId}`;
+  return {
+    default: { url: `${base}/default.jpg`, width: 120, height: 90 },
+    medium: { url: `${base}/mqdefault.jpg`, width: 320, height: 180 },
+    high: { url: `${base}/hqdefault.jpg`, width: 480, height: 360 },
+  };
+}
+
+// Fields a provider doesn't know stay null (same defaults as emptyMeta)
+function blankMeta(videoId) {
+  return {
+    videoId,
+    title: null,
+    description: null,
+    publishedAt: null,
+    channelId: null,
+    channelTitle: null,
+    tags: [],
+    thumbnails: standardThumbnails(videoId),
+    categoryId: null,
+    defaultLanguage: null,
+    defaultAudioLanguage: null,
+    durationSeconds: null,
+    caption: null,
+    regionRestriction: null,
+    contentRating: null,
+    liveContent: "none",
+    madeForKids: null,
+    viewCount: null,
+    likeCount: null,
+    commentCount: null,
+    topicCategories: [],
+  };
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+function dateOrNull(v) {
+  const d = typeof v === "number" ? new Date(v * 1000) : new Date(v);
+  return v != null && !isNaN(+d) ? d.toISOString() : null;
+}
+
+// "/@handle", "https://www.youtube.com/@handle/videos" -> "@handle"
+function handleFromUrl(url) {
+  const m = String(url || "").match(/\/(@[^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// ---------- Page data (content.js / pagedata.js) ----------
+// `page` is the compact extract pagedata.js posts: { videoDetails, microformat, playability, ownerUrl }
+function metaFromPageData(videoId, page) {
+  const vd = page.videoDetails || {};
+  const mf = page.microformat || {};
+  const meta = blankMeta(videoId);
+  const ageRestricted = page.playability?.status === "LOGIN_REQUIRED" && /age/i.test(page.playability.reason || "");
+  Object.assign(meta, {
+    title: vd.title || mf.title || null,
+    description: vd.shortDescription || mf.description || null,
+    publishedAt: dateOrNull(mf.publishDate || mf.uploadDate),
+    channelId: vd.channelId || mf.externalChannelId || null,
+    channelTitle: vd.author || mf.ownerChannelName || null,
+    tags: Array.isArray(vd.keywords) ? vd.keywords : [],
+    durationSeconds: numOrNull(vd.lengthSeconds),
+    liveContent: vd.isUpcoming ? "upcoming" : vd.isLive ? "live" : "none",
+    contentRating: ageRestricted || mf.isFamilySafe === false ? { ytRating: "ytAgeRestricted" } : null,
+    viewCount: numOrNull(vd.viewCount),
+  });
+  return {
+    meta,
+    categoryName: mf.category || null,
+    channelExtra: meta.channelId ? { channelId: meta.channelId, customUrl: handleFromUrl(page.ownerUrl || mf.ownerProfileUrl) } : null,
+  };
+}
+
+// ---------- oEmbed ----------
+// { title, author_name, author_url, thumbnail_url }
+function metaFromOembed(videoId, data) {
+  const meta = blankMeta(videoId);
+  meta.title = data.title || null;
+  meta.channelTitle = data.author_name || null;
+  const customUrl = handleFromUrl(data.author_url);
+  return { meta, categoryName: null, channelExtra: customUrl ? { channelId: null, customUrl } : null };
+}
+
+// ---------- Invidious / Piped ----------
+// Invidious /api/v1/videos/:id and Piped /streams/:id differ in field names; accept either
+function metaFromInstance(videoId, data) {
+  const meta = blankMeta(videoId);
+  const piped = "uploaderUrl" in data || "uploader" in data;
+  if (piped) {
+    Object.assign(meta, {
+      title: data.title || null,
+      description: data.description || null,
+      publishedAt: dateOrNull(data.uploadDate),
+      channelId: (String(data.uploaderUrl || "").match(/\/channel\/(UC[\w-]+)/) || [])[1] || null,
+      channelTitle: data.uploader || null,
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      durationSeconds: numOrNull(data.duration),
+      liveContent: data.livestream ? "live" : "none",
+      viewCount: numOrNull(data.views),
+      likeCount: numOrNull(data.likes),
+    });
+  } else {
+    Object.assign(meta, {
+      title: data.title || null,
+      description: data.description || null,
+      publishedAt: dateOrNull(data.published),
+      channelId: data.authorId || null,
+      channelTitle: data.author || null,
+      tags: Array.isArray(data.keywords) ? data.keywords : [],
+      durationSeconds: numOrNull(data.lengthSeconds),
+      liveContent: data.isUpcoming ? "upcoming" : data.liveNow ? "live" : "none",
+      contentRating: data.isFamilyFriendly === false ? { ytRating: "ytAgeRestricted" } : null,
+      viewCount: numOrNull(data.viewCount),
+      likeCount: numOrNull(data.likeCount),
+    });
+  }
+  return {
+    meta,
+    categoryName: (piped ? data.category : data.genre) || null,
+    channelExtra: meta.channelId ? { channelId: meta.channelId, customUrl: null } : null,
+  };
+}
+
+// "https://host/api/v1/videos/{id}" -> URL for one video; a bare base URL gets the Invidious path
+function instanceVideoUrl(endpoint, videoId) {
+  const e = String(endpoint || "").trim();
+  if (!e) return null;
+  return e.includes("{id}") ? e.replace("{id}", encodeURIComponent(videoId)) : `${e.replace(/\/+$/, "")}/api/v1/videos/${encodeURIComponent(videoId)}`;
+}
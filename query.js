@@ -0,0 +1,217 @@
+// query.js — the popup's search syntax, parsed once per keystroke into predicates over log entries.
+// Pure (no DOM, no chrome.*); needs stats.js and export.js loaded first.
+//
+//   channel:"Mark Rober"  category:music  tag:lego  topic:science  profile:kid  source:search  flag:high  label:rewatch  note:school
+//   a bare note: or label: means "has one"; -note: means "has none"
+//   after:2024-05-01  before:7d  duration>10m  watched<30s  completion>=90  rewatches>0  rating>=4
+//   is:live  is:shorts  is:kids  is:notkids  is:blocked  is:flagged  is:finished  is:skim  is:rewatched  is:favorite
+//   has:searchQuery  and any stored field by name: metaProvider:oembed  viewCount>1000000
+//   -term negates; "quoted text" keeps spaces; other words search title, channel, description, tags …
+
+const QUERY_HELP = [
+  'channel:  category:  tag:  topic:  profile:  source:  search:  flag:  title:  label:  note:',
+  'note: or label: alone = has a note / labels; -note: = has none',
+  'after:2024-05-01  before:7d (also today, yesterday, 2w, 3m, 1y)',
+  'duration>10m  watched<30s  completion>=90  rewatches>0  views>1000000  rating>=4',
+  'is:live shorts kids notkids blocked flagged finished skim rewatched pending removed private agerestricted favorite',
+  'has:<field>  <field>:value  <field>>number for any exported field',
+  '-term excludes; "quoted text" keeps spaces; other words search title, channel, description, tags, search query, notes, labels',
+].join("\n");
+
+// Where free text is looked for; built once per entry object
+const haystackCache = new WeakMap();
+function queryHaystack(r) {
+  if (haystackCache.has(r)) return haystackCache.get(r);
+  const text = [
+    r.title, r.channelTitle, r.description, r.categoryName, r.searchQuery, r.pageTitle, r.sourceChannel,
+    ...(r.tags || []), ...(r.topicCategories || []).map(topicName), r.current?.title, r.note, ...(r.labels || []),
+  ].filter(Boolean).join("\n").toLowerCase();
+  haystackCache.set(r, text);
+  return text;
+}
+
+const QUERY_IS = {
+  live: (r) => r.liveContent === "live" || r.liveContent === "upcoming",
+  shorts: (r) => r.isShorts === true,
+  kids: (r) => r.madeForKids === true,
+  notkids: (r) => r.madeForKids === false,
+  blocked: (r) => !!r.blocked,
+  flagged: (r) => !!r.flags?.length,
+  finished: (r) => !!r.ended,
+  skim: (r) => isSkim(r),
+  rewatched: (r) => (r.rewatchCount || 0) > 0,
+  pending: (r) => r.enrichment === "pending",
+  unavailable: (r) => r.enrichment === "unavailable",
+  removed: (r) => r.availability === "removed",
+  private: (r) => r.availability === "private",
+  agerestricted: (r) => !!r.ageRestricted || r.contentRating?.ytRating === "ytAgeRestricted",
+  imported: (r) => !!r.importedFrom,
+  favorite: (r) => !!r.favorite,
+};
+
+// Text keys: case-insensitive "contains", except where `exact`
+const QUERY_TEXT_KEYS = {
+  channel: { get: (r) => [r.channelTitle, r.channelId, r.channelExtra?.customUrl] },
+  category: { get: (r) => [r.categoryName] },
+  tag: { get: (r) => r.tags || [] },
+  topic: { get: (r) => (r.topicCategories || []).map(topicName) },
+  title: { get: (r) => [r.title, r.current?.title] },
+  search: { get: (r) => [r.searchQuery] },
+  flag: { get: (r) => (r.flags || []).flatMap(f => [f.name, f.severity]) },
+  label: { get: (r) => r.labels || [] },
+  note: { get: (r) => [r.note] },
+  profile: { get: (r) => [r.profile], exact: true },
+  source: { get: (r) => [r.navSource], exact: true },
+};
+
+// Keys that mean "has a value" when given none
+const QUERY_BARE_KEYS = {
+  note: (r) => !!r.note?.trim(),
+  label: (r) => !!r.labels?.length,
+};
+
+// Numeric keys; `duration` ones take 1h30m / 10m / 90s, a bare number meaning minutes
+const QUERY_NUMBER_KEYS = {
+  duration: { get: (r) => r.durationSeconds, duration: true },
+  watched: { get: (r) => watchSecondsOf(r), duration: true },
+  completion: { get: (r) => r.completionPct },
+  rewatches: { get: (r) => r.rewatchCount || 0 },
+  views: { get: (r) => r.viewCount },
+  likes: { get: (r) => r.likeCount },
+  rating: { get: (r) => r.rating },
+};
+
+function parseQueryDuration(v) {
+  if (/^\d+(\.\d+)?$/.test(v)) return Number(v) * 60;
+  const m = String(v).toLowerCase().match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (!m || !(m[1] || m[2] || m[3])) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+}
+
+// Local midnight of a YYYY-MM(-DD) day, or of today / yesterday / N days, weeks, months or years ago
+function parseQueryDate(v, now = new Date()) {
+  const s = String(v).toLowerCase();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (s === "today") return today;
+  if (s === "yesterday") return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  let m = s.match(/^(\d+)([dwmy])$/);
+  if (m) {
+    const n = Number(m[1]);
+    const [y, mo, d] = [today.getFullYear(), today.getMonth(), today.getDate()];
+    return { d: new Date(y, mo, d - n), w: new Date(y, mo, d - 7 * n), m: new Date(y, mo - n, d), y: new Date(y - n, mo, d) }[m[2]];
+  }
+  m = s.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3] || 1));
+  return null;
+}
+
+function compareQuery(a, op, b) {
+  if (a == null || Number.isNaN(a)) return false;
+  switch (op) {
+    case ">": return a > b;
+    case ">=": return a >= b;
+    case "<": return a < b;
+    case "<=": return a <= b;
+    default: return a === b;
+  }
+}
+
+function isEmptyValue(v) {
+  return v == null || v === "" || (Array.isArray(v) && !v.length) || (typeof v === "object" && !Array.isArray(v) && !Object.keys(v).length);
+}
+
+// Any exported field by name: numbers and dates compare, everything else is "contains"
+function fieldTest(field, op, value) {
+  const get = (r) => r[field.key];
+  if (field.type === "number") {
+    const n = Number(value);
+    return Number.isFinite(n) ? (r) => compareQuery(get(r), op, n) : null;
+  }
+  if (field.type === "datetime") {
+    const d = parseQueryDate(value);
+    return d ? (r) => compareQuery(Date.parse(get(r)), op, +d) : null;
+  }
+  if (op !== ":" && op !== "=") return null;
+  if (field.type === "boolean") {
+    const want = /^(true|yes|1)$/i.test(value) ? true : /^(false|no|0)$/i.test(value) ? false : null;
+    return want == null ? null : (r) => get(r) === want;
+  }
+  const needle = value.toLowerCase();
+  return (r) => {
+    const v = get(r);
+    if (isEmptyValue(v)) return false;
+    return (typeof v === "string" ? v : JSON.stringify(v)).toLowerCase().includes(needle);
+  };
+}
+
+// One key/op/value term -> predicate, or an error message
+function queryTermTest(key, op, value) {
+  const k = key.toLowerCase();
+  if (k === "is") {
+    const test = QUERY_IS[value.toLowerCase()];
+    return test || `unknown is: value "${value}"`;
+  }
+  if (k === "has") {
+    const field = EXPORT_FIELDS.find(f => f.key.toLowerCase() === value.toLowerCase());
+    return field ? (r) => !isEmptyValue(r[field.key]) : `unknown field "${value}"`;
+  }
+  if (k === "after" || k === "before") {
+    if (op !== ":") return `use ${k}:date`;
+    const d = parseQueryDate(value);
+    if (!d) return `can't read the date "${value}"`;
+    return k === "after" ? (r) => Date.parse(r.watchedAt) >= +d : (r) => Date.parse(r.watchedAt) < +d;
+  }
+  if (QUERY_NUMBER_KEYS[k]) {
+    const def = QUERY_NUMBER_KEYS[k];
+    const n = def.duration ? parseQueryDuration(value) : Number(value);
+    if (n == null || !Number.isFinite(n)) return `can't read the number "${value}"`;
+    return (r) => compareQuery(def.get(r), op, n);
+  }
+  if (QUERY_TEXT_KEYS[k]) {
+    if (op !== ":" && op !== "=") return `${k}: can't be compared with ${op}`;
+    const def = QUERY_TEXT_KEYS[k];
+    const needle = value.toLowerCase();
+    return (r) => def.get(r).some(v => v && (def.exact ? String(v).toLowerCase() === needle : String(v).toLowerCase().includes(needle)));
+  }
+  const field = EXPORT_FIELDS.find(f => f.key.toLowerCase() === k);
+  if (!field) return null; // not a key after all: plain text
+  return fieldTest(field, op, value) || `can't compare ${field.key} with "${value}"`;
+}
+
+/**
+ * Parses a search string.
+ * @returns { terms: [{ neg, test, raw }], errors: [string] } — an entry matches when every term does
+ */
+function parseQuery(input) {
+  const terms = [];
+  const errors = [];
+  const re = /(-?)(?:([A-Za-z_]+)(>=|<=|>|<|=|:))?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(input || "")))) {
+    const [raw, neg, key, op, quoted, bare] = m;
+    const value = quoted ?? bare ?? "";
+    const keyOnly = !key && value.match(/^([A-Za-z_]+)(>=|<=|>|<|=|:)$/);
+    if (keyOnly) {
+      const has = keyOnly[2] === ":" && QUERY_BARE_KEYS[keyOnly[1].toLowerCase()];
+      if (has) terms.push({ neg: !!neg, test: has, raw });
+      continue; // otherwise still being typed
+    }
+    let test = key && value ? queryTermTest(key, op, value) : null;
+    if (typeof test === "string") {
+      errors.push(`${raw}: ${test}`);
+      continue;
+    }
+    if (!test) {
+      // free text (a "key:" that isn't one, like a URL, is searched as typed)
+      const text = (key ? `${key}${op}${value}` : value).toLowerCase();
+      if (!text) continue;
+      test = (r) => queryHaystack(r).includes(text);
+    }
+    terms.push({ neg: !!neg, test, raw });
+  }
+  return { terms, errors };
+}
+
+function matchesQuery(r, query) {
+  return query.terms.every(t => t.test(r) !== t.neg);
+}
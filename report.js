@@ -0,0 +1,236 @@
+// report.js — builds the printable per-profile report: one self-contained HTML page (inline CSS, thumbnails
+// inlined as data: URLs when they can be fetched) for a date range. Used by the dashboard ("Report" button)
+// and by background's weekly report alarm. Needs db.js, stats.js and profiles.js loaded first.
+
+const REPORT_TOP_CHANNELS = 10;
+const REPORT_TOP_SESSIONS = 5;
+const REPORT_MAX_FLAGGED = 100;
+
+// ---------- Formatting ----------
+function reportEscape(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// Entries can come from imports and restores: only http(s) links make it into the page
+function reportUrl(u) {
+  try {
+    return /^https?:$/.test(new URL(u).protocol) ? String(u) : null;
+  } catch {
+    return null;
+  }
+}
+
+function reportDuration(sec) {
+  if (!sec) return "0m";
+  const h = Math.floor(sec / 3600);
+  const m = Math.round((sec % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function reportDateTime(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function reportDay(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+// ---------- Data ----------
+// Why an entry is worth a look; empty when it isn't
+function reportFlags(r) {
+  const flags = [];
+  if (r.madeForKids === false) flags.push("Not made for kids");
+  if (r.contentRating && Object.keys(r.contentRating).length) {
+    flags.push(r.contentRating.ytRating === "ytAgeRestricted" ? "Age-restricted" : "Content rating");
+  }
+  if (r.liveContent === "live" || r.liveContent === "upcoming") flags.push("Live stream");
+  if (r.blocked) flags.push("Blocked");
+  for (const f of r.flags || []) flags.push(`${f.name} (${f.severity})`); // flag rules from Options
+  return flags;
+}
+
+function thumbnailOf(r) {
+  const t = r.thumbnails || {};
+  return reportUrl((t.default || t.medium || t.high || {}).url);
+}
+
+// Best effort: a thumbnail that can't be fetched stays a remote URL
+async function inlineImage(url) {
+  try {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), 5000);
+    const res = await fetch(url, { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (!res.ok) return url;
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return `data:${res.headers.get("content-type") || "image/jpeg"};base64,${btoa(bin)}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Collects everything the report shows for `profile` (null = all profiles)
+ * between the local days `from` and `to` (Date, inclusive).
+ */
+async function collectReport({ profile, from, to }) {
+  const after = new Date(from.getFullYear(), from.getMonth(), from.getDate()).toISOString();
+  const before = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1).toISOString();
+  const rows = await dbGetAllEntries({ profile, after, before });
+  const sessions = await dbGetSessions({ profile, after, before });
+  const s = summarizeEntries(rows, { top: REPORT_TOP_CHANNELS });
+
+  // Channel picture: the thumbnail of that channel's most-watched video in the range
+  const bestByChannel = new Map();
+  for (const r of rows) {
+    const key = r.channelId || r.channelTitle;
+    const cur = bestByChannel.get(key);
+    if (key && thumbnailOf(r) && (!cur || watchSecondsOf(r) > watchSecondsOf(cur))) bestByChannel.set(key, r);
+  }
+  const channels = await Promise.all(s.topChannels.map(async (c) => {
+    const url = thumbnailOf(bestByChannel.get(c.key) || {});
+    return { ...c, thumbnail: url ? await inlineImage(url) : null };
+  }));
+
+  const flagged = rows
+    .map(r => ({ r, flags: reportFlags(r) }))
+    .filter(x => x.flags.length)
+    .sort((a, b) => b.r.watchedAt.localeCompare(a.r.watchedAt));
+
+  return {
+    profile,
+    from: localDayKey(from),
+    to: localDayKey(to),
+    generatedAt: new Date().toISOString(),
+    totals: s.totals,
+    days: dayRange(from, to).map(k => ({ key: k, ...(s.byDay.get(k) || { seconds: 0, count: 0, shortsSeconds: 0, longSeconds: 0 }) })),
+    channels,
+    categories: s.topCategories,
+    flaggedCount: flagged.length,
+    flagged: flagged.slice(0, REPORT_MAX_FLAGGED),
+    sessions: [...sessions].sort((a, b) => b.totalSeconds - a.totalSeconds).slice(0, REPORT_TOP_SESSIONS),
+  };
+}
+
+// ---------- HTML ----------
+const REPORT_CSS = `
+  body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; margin: 0; color: #111; }
+  .wrap { max-width: 860px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 22px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  .muted { color: #666; font-size: 12px; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin-top: 14px; }
+  .kpi { border: 1px solid #ddd; border-radius: 8px; padding: 8px 10px; }
+  .kpi .label { color: #666; font-size: 11px; }
+  .kpi .value { font-size: 18px; font-weight: 600; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: middle; }
+  td.num { text-align: right; white-space: nowrap; }
+  .bar { height: 10px; background: #eee; border-radius: 3px; display: flex; overflow: hidden; min-width: 120px; }
+  .bar .long { background: #4f8cff; }
+  .bar .shorts { background: #ff7a59; }
+  .bar .fill { background: #4f8cff; }
+  img.thumb { width: 48px; height: 27px; object-fit: cover; border-radius: 4px; display: block; }
+  .flag { background: #ffe6e6; border-radius: 999px; padding: 1px 6px; font-size: 11px; margin-right: 4px; white-space: nowrap; }
+  .hint { background: #f5f5f5; padding: 8px 12px; font-size: 12px; }
+  tr, .kpi { break-inside: avoid; }
+  @media print { .hint { display: none; } .wrap { padding: 0; } }
+`;
+
+function reportKpi(label, value) {
+  return `<div class="kpi"><div class="label">${reportEscape(label)}</div><div class="value">${reportEscape(value)}</div></div>`;
+}
+
+function renderReportHtml(report, { profileName }) {
+  const t = report.totals;
+  const dayCount = report.days.length || 1;
+  const maxDay = Math.max(1, ...report.days.map(d => d.seconds));
+  const catTotal = report.categories.reduce((n, c) => n + c.seconds, 0) || 1;
+  const title = `Viewing report — ${profileName} — ${report.from} to ${report.to}`;
+
+  const days = report.days.map(d => `
+    <tr>
+      <td>${reportEscape(reportDay(d.key))}</td>
+      <td style="width:55%"><div class="bar" style="width:${Math.max(1, (100 * d.seconds) / maxDay)}%">
+        <span class="long" style="flex:${d.longSeconds}"></span><span class="shorts" style="flex:${d.shortsSeconds}"></span>
+      </div></td>
+      <td class="num">${d.count} video${d.count === 1 ? "" : "s"}</td>
+      <td class="num">${reportDuration(d.seconds)}</td>
+    </tr>`).join("");
+
+  const channels = report.channels.map(c => `
+    <tr>
+      <td>${c.thumbnail ? `<img class="thumb" src="${reportEscape(c.thumbnail)}" alt="">` : ""}</td>
+      <td>${reportEscape(c.title)}</td>
+      <td class="num">${c.count} video${c.count === 1 ? "" : "s"}</td>
+      <td class="num">${reportDuration(c.seconds)}</td>
+    </tr>`).join("");
+
+  const categories = report.categories.map(c => `
+    <tr>
+      <td>${reportEscape(c.title)}</td>
+      <td style="width:50%"><div class="bar"><span class="fill" style="width:${(100 * c.seconds) / catTotal}%"></span></div></td>
+      <td class="num">${Math.round((100 * c.seconds) / catTotal)}%</td>
+      <td class="num">${reportDuration(c.seconds)}</td>
+    </tr>`).join("");
+
+  const flagged = report.flagged.map(({ r, flags }) => `
+    <tr>
+      <td class="num">${reportEscape(reportDateTime(r.watchedAt))}</td>
+      <td><a href="${reportEscape(reportUrl(r.url) || `https://www.youtube.com/watch?v=${encodeURIComponent(r.videoId)}`)}">${reportEscape(r.title || r.videoId)}</a><div class="muted">${reportEscape(r.channelTitle || "")}</div></td>
+      <td>${flags.map(f => `<span class="flag">${reportEscape(f)}</span>`).join("")}</td>
+    </tr>`).join("");
+
+  const sessions = report.sessions.map(s => `
+    <tr>
+      <td class="num">${reportEscape(reportDateTime(s.startAt))}</td>
+      <td class="num">${reportDuration(s.totalSeconds)}</td>
+      <td class="num">${s.count} video${s.count === 1 ? "" : "s"}</td>
+      <td class="num">${Math.round(s.shortsRatio * 100)}% Shorts</td>
+      <td>${reportEscape(s.topChannels.map(c => c.title).join(", "))}</td>
+    </tr>`).join("");
+
+  const section = (heading, rows, empty) => `<h2>${heading}</h2>` + (rows ? `<table>${rows}</table>` : `<div class="muted">${empty}</div>`);
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${reportEscape(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="hint">Print this page (Ctrl/Cmd+P) and choose "Save as PDF" to keep a copy.</div>
+<div class="wrap">
+  <h1>Viewing report — ${reportEscape(profileName)}</h1>
+  <div class="muted">${reportEscape(reportDay(report.from))} – ${reportEscape(reportDay(report.to))} · generated ${reportEscape(reportDateTime(report.generatedAt))}</div>
+  <div class="kpis">
+    ${reportKpi("Time watched", reportDuration(t.seconds))}
+    ${reportKpi("Videos", String(t.count))}
+    ${reportKpi("Average per day", reportDuration(t.seconds / dayCount))}
+    ${reportKpi("Shorts share of time", `${t.seconds ? Math.round((100 * t.shortsSeconds) / t.seconds) : 0}%`)}
+  </div>
+  ${section("Daily breakdown", days, "No days in range.")}
+  <div class="muted" style="margin-top:4px">Blue: long-form · orange: Shorts</div>
+  ${section("Top channels", channels, "Nothing watched.")}
+  ${section("Category mix", categories, "No category information yet.")}
+  ${section(`Flagged items (${report.flaggedCount})`, flagged, "Nothing flagged: no videos marked not-for-kids, age-restricted, rated or live, and none matched a flag rule.")}
+  ${report.flaggedCount > report.flagged.length ? `<div class="muted">Showing the latest ${report.flagged.length}.</div>` : ""}
+  ${section("Longest sessions", sessions, "No sessions in range.")}
+</div>
+</body>
+</html>`;
+}
+
+// Profile label resolved through the profile list, "All profiles" for null
+async function buildReportHtml({ profile, from, to }) {
+  const { profiles } = await getProfiles();
+  const report = await collectReport({ profile, from, to });
+  return {
+    report,
+    html: renderReportHtml(report, { profileName: profile ? profileLabel(profiles, profile) : "All profiles" }),
+  };
+}
@@ -0,0 +1,135 @@
+// rules.js — flag rules (chrome.storage.sync "flagRules"), shared by background and Options
+// A rule is a list of conditions; an entry matching it gets a flag of the rule's severity (entry.flags),
+// optionally with a browser notification. Evaluation is pure, like evaluateControls(); needs controls.js first.
+
+const FLAG_SEVERITIES = ["low", "medium", "high"];
+
+// `list`: the value is a comma-separated list, any item may match
+const FLAG_CONDITIONS = [
+  { type: "keyword", label: "Keyword in title, description or tags", list: true },
+  { type: "titleKeyword", label: "Keyword in title", list: true },
+  { type: "descriptionKeyword", label: "Keyword in description", list: true },
+  { type: "tagKeyword", label: "Tag contains", list: true },
+  { type: "searchKeyword", label: "Found by searching for", list: true },
+  { type: "channel", label: "Channel (ID, @handle or name)", list: true },
+  { type: "category", label: "Category", list: true },
+  { type: "topic", label: "Topic (e.g. Video_game_culture)", list: true },
+  { type: "notForKids", label: "Not made for kids" },
+  { type: "ageRestricted", label: "Age-restricted" },
+  { type: "live", label: "Livestream or premiere" },
+  { type: "shorts", label: "Short" },
+];
+
+function newFlagRule() {
+  return {
+    id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: "New rule",
+    enabled: true,
+    severity: "medium",
+    notify: false,
+    match: "any", // any | all conditions
+    profiles: [], // empty = every profile
+    conditions: [{ type: "keyword", value: "" }],
+  };
+}
+
+function normalizeFlagRule(r) {
+  const out = { ...newFlagRule(), ...(r || {}) };
+  out.name = String(out.name || "").trim() || "Unnamed rule";
+  out.enabled = out.enabled !== false;
+  out.notify = !!out.notify;
+  if (!FLAG_SEVERITIES.includes(out.severity)) out.severity = "medium";
+  if (out.match !== "all") out.match = "any";
+  out.profiles = (Array.isArray(out.profiles) ? out.profiles : []).map(s => String(s).trim()).filter(Boolean);
+  out.conditions = (Array.isArray(out.conditions) ? out.conditions : [])
+    .map(c => ({ type: c?.type, value: String(c?.value ?? "").trim() }))
+    .filter(c => {
+      const def = FLAG_CONDITIONS.find(d => d.type === c.type);
+      return def && (!def.list || c.value);
+    });
+  return out;
+}
+
+function getFlagRules() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ flagRules: [] }, ({ flagRules }) => resolve((Array.isArray(flagRules) ? flagRules : []).map(normalizeFlagRule)));
+  });
+}
+
+function saveFlagRules(rules) {
+  return new Promise((resolve) => chrome.storage.sync.set({ flagRules: rules.map(normalizeFlagRule) }, resolve));
+}
+
+function conditionValues(c) {
+  return c.value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function textHas(values, ...texts) {
+  const hay = texts.flat().map(lc).join("\n");
+  return values.find(v => hay.includes(lc(v))) || null;
+}
+
+// Why `c` matches entry `e`, or null
+function conditionReason(c, e) {
+  const values = conditionValues(c);
+  let hit;
+  switch (c.type) {
+    case "keyword":
+      hit = textHas(values, e.title, e.description, e.tags || []);
+      return hit && `Keyword "${hit}"`;
+    case "titleKeyword":
+      hit = textHas(values, e.title);
+      return hit && `Title contains "${hit}"`;
+    case "descriptionKeyword":
+      hit = textHas(values, e.description);
+      return hit && `Description contains "${hit}"`;
+    case "tagKeyword":
+      hit = textHas(values, e.tags || []);
+      return hit && `Tag "${hit}"`;
+    case "searchKeyword":
+      hit = textHas(values, e.searchQuery);
+      return hit && `Search for "${e.searchQuery}"`;
+    case "channel":
+      return e.channelId || e.channelTitle ? (channelMatches(values, e) ? `Channel ${e.channelTitle || e.channelId}` : null) : null;
+    case "category":
+      return categoryMatches(values, e) ? `Category ${e.categoryName}` : null;
+    case "topic":
+      hit = textHas(values, (e.topicCategories || []).map(t => decodeURIComponent(t.split("/").pop())));
+      return hit && `Topic "${hit}"`;
+    case "notForKids":
+      return e.madeForKids === false ? "Not made for kids" : null;
+    case "ageRestricted":
+      return e.ageRestricted || e.contentRating?.ytRating === "ytAgeRestricted" ? "Age-restricted" : null;
+    case "live":
+      return e.liveContent === "live" || e.liveContent === "upcoming" ? "Livestream" : null;
+    case "shorts":
+      return e.isShorts ? "Short" : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Flags for one entry.
+ * @param rules normalized rules (getFlagRules)
+ * @param entry a logged entry; metadata conditions can't match until it's enriched
+ * @returns [{ ruleId, name, severity, reason }], empty when nothing matches
+ */
+function evaluateFlagRules(rules, entry) {
+  const flags = [];
+  for (const rule of rules) {
+    if (!rule.enabled || !rule.conditions.length) continue;
+    if (rule.profiles.length && !rule.profiles.includes(entry.profile)) continue;
+    const reasons = rule.conditions.map(c => conditionReason(c, entry));
+    const matched = rule.match === "all" ? reasons.every(Boolean) : reasons.some(Boolean);
+    if (matched) flags.push({ ruleId: rule.id, name: rule.name, severity: rule.severity, reason: reasons.filter(Boolean).join("; ") });
+  }
+  return flags;
+}
+
+// Highest severity among `flags`, null when there are none
+function topFlagSeverity(flags) {
+  let top = -1;
+  for (const f of flags || []) top = Math.max(top, FLAG_SEVERITIES.indexOf(f.severity));
+  return top < 0 ? null : FLAG_SEVERITIES[top];
+}
@@ -0,0 +1,166 @@
+// stats.js — pure aggregation over log entries (no DOM, no chrome.*), for the dashboard, reports and background;
+// also groups entries into viewing sessions
+
+// Time spent on repeat views folded into this entry
+function rewatchSeconds(r) {
+  return (r.rewatches || []).reduce((sum, v) => sum + (v.watchedSeconds || 0), 0);
+}
+
+// Seconds actually watched, rewatches included; entries from before playback
+// tracking fall back to the video length
+function watchSecondsOf(r) {
+  if (typeof r.watchedSeconds === "number") return r.watchedSeconds + rewatchSeconds(r);
+  return typeof r.durationSeconds === "number" ? r.durationSeconds : 0;
+}
+
+// A view that stopped this early is a skim, not a watch
+const SKIM_SECONDS = 10;
+
+function isSkim(r) {
+  return r.watchedSeconds != null && r.watchedSeconds < SKIM_SECONDS && !r.ended;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Local calendar day, YYYY-MM-DD
+function localDayKey(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// Monday of the local week containing d, YYYY-MM-DD
+function localWeekKey(d) {
+  const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+  return localDayKey(monday);
+}
+
+// Every day key from `from` to `to` inclusive, so charts show empty days too
+function dayRange(from, to) {
+  const out = [];
+  const d = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+  while (d <= end) {
+    out.push(localDayKey(d));
+    d.setDate(d.getDate() + 1);
+  }
+  return out;
+}
+
+// "https://en.wikipedia.org/wiki/Video_game_culture" -> "Video game culture"
+function topicName(url) {
+  const last = String(url || "").split("/").pop() || "";
+  try { return decodeURIComponent(last).replace(/_/g, " "); } catch { return last.replace(/_/g, " "); }
+}
+
+function bump(map, key, seconds, extra) {
+  if (key == null || key === "") return;
+  const cur = map.get(key) || { key, seconds: 0, count: 0, ...extra };
+  cur.seconds += seconds;
+  cur.count += 1;
+  map.set(key, cur);
+}
+
+function topN(map, n = 10) {
+  return [...map.values()].sort((a, b) => b.seconds - a.seconds || b.count - a.count).slice(0, n);
+}
+
+/**
+ * Aggregates entries into the numbers the dashboard/report draw from.
+ * Day/week/hour buckets use the viewer's local time.
+ */
+function summarizeEntries(rows, { top = 10 } = {}) {
+  const byDay = new Map();
+  const byWeek = new Map();
+  const channels = new Map();
+  const categories = new Map();
+  const topics = new Map();
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0)); // [weekday Mon=0][hour] seconds
+  const totals = {
+    count: 0, seconds: 0,
+    shortsCount: 0, shortsSeconds: 0,
+    longCount: 0, longSeconds: 0,
+    madeForKidsCount: 0, notForKidsCount: 0,
+    firstAt: null, lastAt: null,
+  };
+
+  for (const r of rows) {
+    const d = new Date(r.watchedAt);
+    if (isNaN(+d)) continue;
+    const sec = watchSecondsOf(r);
+
+    totals.count += 1;
+    totals.seconds += sec;
+    if (r.isShorts) { totals.shortsCount += 1; totals.shortsSeconds += sec; }
+    else { totals.longCount += 1; totals.longSeconds += sec; }
+    if (r.madeForKids === true) totals.madeForKidsCount += 1;
+    if (r.madeForKids === false) totals.notForKidsCount += 1;
+    if (!totals.firstAt || r.watchedAt < totals.firstAt) totals.firstAt = r.watchedAt;
+    if (!totals.lastAt || r.watchedAt > totals.lastAt) totals.lastAt = r.watchedAt;
+
+    for (const [map, key] of [[byDay, localDayKey(d)], [byWeek, localWeekKey(d)]]) {
+      const b = map.get(key) || { key, seconds: 0, count: 0, shortsSeconds: 0, longSeconds: 0 };
+      b.seconds += sec;
+      b.count += 1;
+      if (r.isShorts) b.shortsSeconds += sec; else b.longSeconds += sec;
+      map.set(key, b);
+    }
+
+    bump(channels, r.channelId || r.channelTitle, sec, { title: r.channelTitle || r.channelId });
+    bump(categories, r.categoryName, sec, { title: r.categoryName });
+    for (const t of r.topicCategories || []) bump(topics, t, sec, { title: topicName(t) });
+    heatmap[(d.getDay() + 6) % 7][d.getHours()] += sec;
+  }
+
+  return {
+    totals,
+    byDay,
+    byWeek,
+    topChannels: topN(channels, top),
+    topCategories: topN(categories, top),
+    topTopics: topN(topics, top),
+    heatmap,
+  };
+}
+
+// ---------- Sessions ----------
+// Watches of one profile form a session while the idle time between the end of
+// one (start + time watched) and the start of the next stays under `gapMinutes`.
+function groupSessions(rows, gapMinutes) {
+  const gapMs = gapMinutes * 60000;
+  const sorted = rows.filter(r => !isNaN(Date.parse(r.watchedAt))).sort((a, b) => a.watchedAt.localeCompare(b.watchedAt));
+  const groups = [];
+  let cur = null, curEnd = 0;
+  for (const r of sorted) {
+    const start = Date.parse(r.watchedAt);
+    if (!cur || start - curEnd > gapMs) {
+      cur = [];
+      groups.push(cur);
+    }
+    cur.push(r);
+    curEnd = Math.max(curEnd, start + watchSecondsOf(r) * 1000);
+  }
+  return groups.map(sessionSummary);
+}
+
+// rows: one session's entries, oldest first
+function sessionSummary(rows) {
+  const { totals, topChannels, topCategories } = summarizeEntries(rows, { top: 3 });
+  const first = rows[0];
+  let end = 0;
+  for (const r of rows) end = Math.max(end, Date.parse(r.watchedAt) + watchSecondsOf(r) * 1000);
+  const pick = ({ key, title, seconds, count }) => ({ key, title, seconds, count });
+  return {
+    id: `${first.profile}:${first.watchedAt}`,
+    profile: first.profile,
+    startAt: first.watchedAt,
+    endAt: new Date(end).toISOString(),
+    lastWatchedAt: rows[rows.length - 1].watchedAt, // entries with startAt <= watchedAt <= this belong here
+    totalSeconds: totals.seconds,
+    count: totals.count,
+    shortsCount: totals.shortsCount,
+    shortsRatio: totals.count ? totals.shortsCount / totals.count : 0,
+    topChannels: topChannels.map(pick),
+    topCategories: topCategories.map(pick),
+  };
+}